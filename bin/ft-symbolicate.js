@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * ft-symbolicate：离线还原错误负载中的压缩堆栈
+ *
+ * 用法：
+ *   ft-symbolicate --maps ./dist [--context 3] [--format json|text] [input.json]
+ *
+ * 输入为 JSON（单个错误负载或数组）或每行一个 JSON（NDJSON）；不传文件时读取 stdin
+ */
+const fs = require('fs')
+const { createSymbolicator, loadSourceMaps } = require('../dist/symbolicate.cjs.js')
+
+function fail(message) {
+  process.stderr.write(`ft-symbolicate: ${message}\n`)
+  process.exit(1)
+}
+
+function usage(code) {
+  process.stderr.write('Usage: ft-symbolicate --maps <dir> [--context <n>] [--format json|text] [input.json]\n')
+  process.exit(code)
+}
+
+function parseArgs(argv) {
+  const args = { maps: null, context: 3, format: 'json', input: null }
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i]
+    if (a === '--maps' || a === '-m') args.maps = argv[++i]
+    else if (a === '--context' || a === '-c') args.context = Number(argv[++i])
+    else if (a === '--format' || a === '-f') args.format = argv[++i]
+    else if (a === '--help' || a === '-h') usage(0)
+    else if (!args.input) args.input = a
+    else usage(1)
+  }
+  if (!args.maps) usage(1)
+  return args
+}
+
+function parseEvents(text) {
+  const trimmed = text.trim()
+  if (!trimmed) return []
+  try {
+    const parsed = JSON.parse(trimmed)
+    return Array.isArray(parsed) ? parsed : [parsed]
+  } catch (e) {
+    // NDJSON
+    return trimmed.split(/\r?\n/).filter(Boolean).map(line => JSON.parse(line))
+  }
+}
+
+function formatText(event) {
+  const lines = [`${event.message || 'Error'}`]
+  for (const f of event.frames || []) {
+    if (f.symbolicated) {
+      const o = f.original
+      lines.push(`    at ${o.function || '<anonymous>'} (${o.file}:${o.line}:${o.column})`)
+      if (o.snippet) lines.push(`        > ${o.snippet.context.trim()}`)
+    } else {
+      lines.push(`    at ${f.function || '<anonymous>'} (${f.file || '?'}:${f.line || '?'}:${f.column || '?'}) [unmapped]`)
+    }
+  }
+  return lines.join('\n')
+}
+
+const args = parseArgs(process.argv.slice(2))
+
+const onWarning = (message) => process.stderr.write(`ft-symbolicate: warning: ${message}\n`)
+let maps
+try {
+  if (!fs.existsSync(args.maps) || !fs.statSync(args.maps).isDirectory()) fail(`--maps ${args.maps} is not a directory`)
+  maps = loadSourceMaps(args.maps, { onWarning })
+} catch (e) {
+  fail(e.message)
+}
+if (!maps.size) fail(`no .map files found in ${args.maps}`)
+const sym = createSymbolicator({ maps, contextLines: Number.isFinite(args.context) ? args.context : 3, onWarning })
+
+let events
+try {
+  events = parseEvents(fs.readFileSync(args.input || 0, 'utf-8'))
+} catch (e) {
+  fail(`cannot read input ${args.input || '<stdin>'}: ${e.message}`)
+}
+
+const results = events.map(ev => sym.symbolicateEvent(ev))
+
+if (args.format === 'text') {
+  process.stdout.write(results.map(formatText).join('\n\n') + '\n')
+} else {
+  process.stdout.write(JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + '\n')
+}
@@ -0,0 +1,48 @@
+const js = require('@eslint/js')
+const globals = require('globals')
+
+module.exports = [
+  { ignores: ['dist/', 'coverage/', 'node_modules/', 'stats-*.html'] },
+  js.configs.recommended,
+  {
+    files: ['src/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      // 同一份源码运行在浏览器、SSR / Node 与小程序中
+      globals: {
+        ...globals.browser,
+        ...globals.node,
+        uni: 'readonly',
+        Taro: 'readonly',
+        wx: 'readonly',
+        my: 'readonly',
+        tt: 'readonly',
+        getCurrentPages: 'readonly'
+      }
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }],
+      'no-empty': ['error', { allowEmptyCatch: true }]
+    }
+  },
+  {
+    files: ['bin/**/*.js', 'babel.config.js', 'eslint.config.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }]
+    }
+  },
+  {
+    files: ['rollup.config.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: globals.node
+    }
+  }
+]
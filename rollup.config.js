@@ -64,6 +64,38 @@ const basePlugins = [
   babel(babelOptions)
 ]
 
+// 独立入口（框架集成 / Node 工具）：external 不打进 bundle；也不引入 SDK 主体
+const integrationPlugins = [
+  resolve({ extensions, preferBuiltins: false }),
+  babel(babelOptions)
+]
+
+function integrationEntry(name, external) {
+  return [
+    {
+      input: `src/${name}/index.js`,
+      external,
+      output: {
+        file: `dist/${name}.mjs`,
+        format: 'es',
+        sourcemap: !isProd
+      },
+      plugins: [...integrationPlugins, isProd && terser()].filter(Boolean)
+    },
+    {
+      input: `src/${name}/index.js`,
+      external,
+      output: {
+        file: `dist/${name}.cjs.js`,
+        format: 'cjs',
+        sourcemap: !isProd,
+        exports: 'named'
+      },
+      plugins: [...integrationPlugins, isProd && terser()].filter(Boolean)
+    }
+  ]
+}
+
 export default [
   // ESM (modern)
   {
@@ -92,5 +124,11 @@ export default [
       ...basePlugins,
       isProd && terser()
     ].filter(Boolean)
-  }
+  },
+
+  // React 集成：frontend-tracking-tool/react
+  ...integrationEntry('react', ['react']),
+
+  // 离线 source map 还原（Node）：frontend-tracking-tool/symbolicate，供 bin/ft-symbolicate.js 使用
+  ...integrationEntry('symbolicate', ['fs', 'path'])
 ]
@@ -4,12 +4,39 @@ import {
   trackStructEvent,
   trackSelfDescribingEvent,
   enableActivityTracking,
+  disableActivityTracking,
+  addGlobalContexts,
+  removeGlobalContexts,
+  setUserId,
+  setCollectorUrl,
+  addPlugin,
+  enableAnonymousTracking,
+  disableAnonymousTracking,
 } from '@snowplow/browser-tracker'
-import { enableLinkClickTracking } from '@snowplow/browser-plugin-link-click-tracking'
+import { LinkClickTrackingPlugin, enableLinkClickTracking, disableLinkClickTracking } from '@snowplow/browser-plugin-link-click-tracking'
 import { useErrorHandler } from './hooks/useErrorHandler'
-import { useCustomFetch } from './hooks/useCustomFetch'
+import { useCustomFetch, DEFAULT_COLLECTOR_PATH } from './hooks/useCustomFetch'
+import { useGlobalProperties } from './hooks/useGlobalProperties'
+import { useConsent } from './hooks/useConsent'
+import { useSchemaRegistry } from './hooks/useSchemaRegistry'
+import { useNetworkMonitor } from './hooks/useNetworkMonitor'
 import { initRouterListener } from './utils/routerListener'
-import { getRequestId } from './utils'
+import { getDefaultRouteAdapters, getAvailableRouteAdapters, getCurrentRouteUrl } from './utils/routeAdapters'
+import { getRequestId, isBrowser } from './utils'
+import { runMiddlewares } from './utils/middleware'
+import { resolveSampleRate, isSampledIn } from './utils/sampling'
+import { loadRemoteConfig, mergeRemoteConfig } from './utils/remoteConfig'
+import { createInspector } from './utils/inspector'
+import { createLogger } from './utils/logger'
+import { createServerTransport, findMiniProgramApi, miniProgramFetch } from './utils/serverTransport'
+import { enableDeclarativeTracking } from './utils/declarativeTracking'
+import { createImpressionTracker } from './utils/impressions'
+import { createPerformanceMonitor } from './utils/performance'
+import { createBreadcrumbs, instrumentBreadcrumbs } from './utils/breadcrumbs'
+import { createDwellTimer } from './utils/dwellTime'
+import { resolveRoute, routeFromVueRouter } from './utils/routeTemplate'
+import { computeFingerprint, resolveFingerprint } from './utils/fingerprint'
+import { isIgluUri } from './utils/jsonSchema'
 
 // 在文件顶部定义默认选项（中文注释）
 const DEFAULT_OPTIONS = {
@@ -17,34 +44,127 @@ const DEFAULT_OPTIONS = {
   trackerId: 'ft_1',
   platform: 'web',
   debug: false,
+  // 日志级别 silent | error | warn | info | debug，默认 debug 模式为 'debug'，否则为 'error'
+  logLevel: undefined,
+  // 自定义日志输出 ({ level, namespace, args, ts }) => void，默认输出到 console
+  logSink: undefined,
   encodeBase64: true,
   headers: undefined,
   formatInput: undefined,
   otherOptions: undefined,
-  context: {
-    requestId: getRequestId()
-  },
+  // 请求 / 会话 id：默认浏览器中取会话级 getRequestId()，服务端每个实例生成一个；
+  // server 模式下可传入自己的请求 id（如网关的 x-request-id），用于错误上报与采样种子
+  requestId: undefined,
+  // 默认 { requestId }，在 resolveOptions 中惰性计算（模块加载时不访问 sessionStorage）
+  context: undefined,
+  // 运行模式：'auto'（无 window 时按 server）| 'browser' | 'server'
+  mode: 'auto',
+  // server 模式的上报实现：(url, init) => Promise<{ ok, status }>，默认使用全局 fetch（Node 18+），
+  // 小程序中默认使用 wx.request / uni.request 等；Node 16 等没有全局 fetch 的环境传入 node-fetch / undici 等实现
+  fetch: undefined,
   activityTrack: false,
   activityTrackingOptions: { minimumVisitLength: 10, heartbeatDelay: 10 },
 
   linkTrack: false,
   linkClickTrackingOptions: { trackContent: true },
 
+  // 声明式点击埋点：带 data-track-category / data-track-action 的元素点击时自动 trackEvent
+  declarativeTrack: false,
+  declarativeTrackingOptions: { attributePrefix: 'data-track' },
+
   enablePageView: true,
+  // 路由模板规则：[{ pattern: '/user/:id/order/:orderId', name, track }]，未命中时按 autoRouteTemplate 自动识别 ID
+  routeRules: null,
+  autoRouteTemplate: true,
+  // 路由来源适配器（见 utils/routeAdapters）：null 为内置的 uni-app / Taro H5 / onAppRoute，[] 关闭
+  routeAdapters: null,
+  // 页面停留时长：路由变化 / 页面卸载时上报上一页的可见停留时间（隐藏期间不计）
+  dwellTimeTrack: false,
+  dwellTimeSchema: null,
+  // 低于该值（ms）的停留不上报，如重定向产生的中间页
+  minDwellTime: 0,
   enableErrHandler: true,
   jsErrorSchema: null,
   resourceErrorSchema: null,
+  networkErrorSchema: null,
+  // 自定义错误指纹 (err, { type, message, frames, defaultFingerprint }) => string | string[] | null，见 utils/fingerprint
+  fingerprint: null,
+
+  // 面包屑：错误上报附带最近的路由变化、点击、trackEvent、console 警告 / 错误、接口请求；false 关闭
+  // { max = 20, click = true, console = true }
+  breadcrumbs: true,
+
+  // 接口监控：包装 fetch / XMLHttpRequest，HTTP 错误、超时、中断与慢请求经错误上报（需 enableErrHandler）
+  networkTrack: false,
+  // { slowThreshold, ignoreUrls }，详见 hooks/useNetworkMonitor.js
+  networkTrackOptions: null,
+
+  // 性能采集：Web Vitals（LCP / CLS / INP / FCP / TTFB）、Navigation Timing、资源汇总、软导航耗时
+  performanceTrack: false,
+  performanceSchema: null,
+  // { resourceTopN, routeSettleTime, routeTimeout }，详见 utils/performance.js
+  performanceOptions: null,
+  // SDK context 实体（identify / setGlobalProperties 的属性、sampleRate、routePath / routeTemplate）所用 iglu schema，
+  // 未配置时不附加该 context
+  globalContextSchema: null,
+
+  // 按事件类型采样，如 { page_view: 1, activity: 0.1, error: 1 }，详见 utils/sampling.js
+  sampling: null,
+
+  // 本地 Iglu schema：{ [igluUri]: jsonSchema }，自描述 / 错误事件上报前校验
+  schemas: null,
+  // 校验失败的处理：'tag'（打标后照常上报）| 'drop'（丢弃）| 'off'（不校验）；debug 下额外输出 error 日志
+  schemaValidation: 'tag',
+
+  // 远程配置：{ url, timeout, cacheKey, headers }，init() 时拉取并覆盖本地配置
+  remoteConfig: null,
+
+  // 开启后 init() 只安装监听，事件缓存在内存，直到 setConsent 授权对应类别
+  requireConsent: false,
+  consentBufferSize: 100,
 
   // 不默认自动替换全局 fetch；若需要请传 customFetchOptions
   useCustomFetch: false,
 }
 
+// snowplow 没有删除 tracker 的 API：同一 trackerId 只能 newTracker 一次，重复 init 时复用
+// 记录已创建的 namespace 及其已挂载的插件，跨实例共享
+const createdTrackers = new Map() // trackerId -> { linkPlugin: boolean }
+
+// sessionStorage 不可用（隐私模式等）时退化为实例级随机 id
+function safeRequestId() {
+  try {
+    return getRequestId()
+  } catch (e) {
+    return String(Math.random()).slice(2)
+  }
+}
+
+// snowplow 上报（POST）路径：otherOptions.postPath 优先，useCustomFetch 拦截与接口监控排除都以此为准
+function collectorPathOf(o) {
+  return (o.otherOptions && o.otherOptions.postPath) || DEFAULT_COLLECTOR_PATH
+}
+
+// 合并默认选项与用户选项（部分对象做一层深合并，避免覆盖整个 activityTrackingOptions）
+// requestId: 未显式传入 requestId 时沿用的 id（重新 init 时保持实例的 id 不变）
+function resolveOptions(options = {}, requestId = null) {
+  const opts = { ...DEFAULT_OPTIONS, ...(options || {}) }
+  opts.activityTrackingOptions = { ...DEFAULT_OPTIONS.activityTrackingOptions, ...(options.activityTrackingOptions || {}) }
+  opts.linkClickTrackingOptions = { ...DEFAULT_OPTIONS.linkClickTrackingOptions, ...(options.linkClickTrackingOptions || {}) }
+  if (!opts.requestId) opts.requestId = requestId || safeRequestId()
+  if (!opts.context) opts.context = { requestId: opts.requestId }
+  return opts
+}
+
 /**
  * FrontendTracker 类
  *
  * - 每个实例维护独立的 errorHandler、router listener、配置
+ * - 所有上报只发往本实例的 trackerId（snowplow namespace），多实例互不串扰
  * - 保留原始参数透传（formatInput, headers, otherOptions 等）
- * - 提供 stop() 完整卸载（解除 errorHandler、router listener 等）
+ * - 支持 use(fn) 注册事件中间件，在上报 snowplow 前统一 enrich / 改写 / 丢弃
+ * - 提供 stop() 完整卸载（errorHandler、接口监控、面包屑、停留时长、router listener、History patch、心跳、链接点击、声明式埋点、曝光观察、性能采集、调试面板）
+ * - stop() 之后可再次 init(router, newOptions) 以新配置重新启动
  *
  * options（常用）:
  *  - trackerId
@@ -52,39 +172,464 @@ const DEFAULT_OPTIONS = {
  *  - appId
  *  - platform
  *  - debug
+ *  - mode: 'auto' | 'browser' | 'server'（server 模式下事件经 HTTP 直接上报，浏览器专属功能不启用）
+ *  - fetch（server 模式的上报实现，默认全局 fetch，小程序中为 wx.request / uni.request 等）
+ *  - logLevel / logSink（见 utils/logger）
  *  - headers
  *  - formatInput
  *  - activityTrack (bool)
  *  - activityTrackingOptions
  *  - linkTrack (bool)
  *  - linkClickTrackingOptions
+ *  - declarativeTrack (bool) / declarativeTrackingOptions: { attributePrefix }
+ *  - routeRules / autoRouteTemplate（PV 附带路由模板，见 utils/routeTemplate）
+ *  - routeAdapters（uni-app / Taro H5 / 小程序 onAppRoute 等路由来源，见 utils/routeAdapters）
+ *  - dwellTimeTrack (bool) / dwellTimeSchema / minDwellTime
  *  - enableErrHandler (bool)
  *  - errorHandlerOptions (obj)
- *  - jsErrorSchema / resourceErrorSchema
+ *  - jsErrorSchema / resourceErrorSchema / networkErrorSchema
+ *  - fingerprint(err, info)（自定义错误指纹，同时作为去重 key）
+ *  - networkTrack (bool) / networkTrackOptions: { slowThreshold, ignoreUrls }
+ *  - breadcrumbs: true | false | { max, click, console }
+ *  - performanceTrack (bool) / performanceSchema / performanceOptions
+ *  - globalContextSchema（SDK context 实体的 schema：全局属性、sampleRate）
+ *  - sampling: { page_view, struct, self_describing, error, performance, activity, link, default }
+ *  - schemas / schemaValidation ('tag' | 'drop' | 'off')
+ *  - remoteConfig: { url, timeout, cacheKey, headers }
+ *  - requireConsent (bool) / consentBufferSize
  *  - customFetchOptions: { outboundUrl, collectorPath, formatInput, headers, debug }
  */
 export class FrontendTracker {
   constructor(options = {}) {
-    // 合并：用户传入的优先覆盖默认
-    this.opts = { ...DEFAULT_OPTIONS, ...(options || {}) }
-    // 允许深层合并部分对象（避免覆盖整个 activityTrackingOptions）
-    this.opts.activityTrackingOptions = { ...DEFAULT_OPTIONS.activityTrackingOptions, ...(options.activityTrackingOptions || {}) }
-    this.opts.linkClickTrackingOptions = { ...DEFAULT_OPTIONS.linkClickTrackingOptions, ...(options.linkClickTrackingOptions || {}) }
+    // 合并：用户传入的优先覆盖默认；保留原始用户选项，重新 init 时在其基础上合并新选项
+    this._userOptions = { ...(options || {}) }
+    this.opts = resolveOptions(this._userOptions)
+
+    // 统一日志：所有模块共享级别与 sink，按 namespace 区分（router / errors / transport / transform ...）
+    this.logger = createLogger({
+      level: this.opts.logLevel || (this.opts.debug ? 'debug' : 'error'),
+      sink: this.opts.logSink,
+      namespace: 'tracker'
+    })
 
     // 内部状态
     this._inited = false
     this._routerOff = null
     this._vueErrorHandler = null
     this.errorHandler = null
+    // 事件中间件（跨 stop/init 保留，属于实例配置）
+    this._middlewares = []
+    // 用户身份与全局属性（按 trackerId 隔离持久化）
+    this.globals = useGlobalProperties({ storageKey: `FT_GLOBALS_${this.opts.trackerId}`, logger: this.logger.child('globals') })
+    // 授权状态（analytics / errors），授权前的事件在这里缓存，授权后回放给 _dispatch
+    this.consent = this._createConsent()
+    // 本地 schema 仓库（registerSchema 注册，跨 stop/init 保留）
+    this.schemaRegistry = useSchemaRegistry({ schemas: this.opts.schemas, logger: this.logger.child('schema') })
+    this._autoTrackingEnabled = false
+    this._declarativeOff = null
+    this._performance = null
+    this._networkMonitor = null
+    this._dwellTimer = null
+    // 面包屑缓冲（_start 时按配置创建）与自动采集的卸载函数
+    this.breadcrumbs = null
+    this._breadcrumbsOff = null
+    // 元素曝光：按页面浏览去重，路由变化时 reset
+    this._impressions = createImpressionTracker({
+      logger: this.logger.child('impression'),
+      onImpression: ({ category, action, label, property, value }) => this.trackEvent(category, action, label, property, value)
+    })
+    this._sampleSeed = null
+    // 心跳 / 链接点击由 snowplow 直接发送，全局属性与 sampleRate 经这里注册的全局 context 附带
+    this._autoTrackingContext = null
+    // 远程配置加载期间（_starting）产生的事件先排队，启动后再走 _send
+    this._starting = false
+    this._startToken = 0
+    this._pendingQueue = []
+    this.remoteConfigSource = null
+    // init 完成（含远程配置加载）后 resolve
+    this.ready = Promise.resolve(this)
+    // 调试面板：仅 debug 模式创建，创建后即开始收集记录（openInspector 前的事件也可查看）
+    this._inspector = this.opts.debug ? createInspector({ title: `FrontendTracker · ${this.opts.trackerId}` }) : null
+    // useCustomFetch 时交给 snowplow 的稳定包装，真正实现可在重新 init 时替换
+    this._transport = null
+    // server 模式下的 HTTP 上报（浏览器模式为 null）
+    this._server = null
+  }
+
+  /**
+   * 当前是否以 server 模式运行（SSR / Node）
+   */
+  get isServer() {
+    return !!this._server
+  }
+
+  /**
+   * 按 requireConsent / consentBufferSize 创建授权实例
+   */
+  _createConsent() {
+    return useConsent({
+      required: !!this.opts.requireConsent,
+      bufferSize: this.opts.consentBufferSize,
+      logger: this.logger.child('consent'),
+      onFlush: (ev) => this._dispatch(ev)
+    })
+  }
+
+  /**
+   * 以新选项重新配置（仅在未运行时调用，见 init(router, options)）
+   * - 日志级别 / sink、调试面板、全局属性存储随新选项更新
+   * - 中间件、已注册的 schema、授权状态属于运行期状态，保留；requireConsent / consentBufferSize 变化时按新值重建授权实例
+   */
+  _reconfigure(options) {
+    const prevTrackerId = this.opts.trackerId
+    const prevConsent = [!!this.opts.requireConsent, this.opts.consentBufferSize]
+    this._userOptions = { ...this._userOptions, ...options }
+    this.opts = resolveOptions(this._userOptions, this.opts.requestId)
+
+    if (this.opts.trackerId !== prevTrackerId) {
+      this.globals = useGlobalProperties({ storageKey: `FT_GLOBALS_${this.opts.trackerId}`, logger: this.logger.child('globals') })
+    }
+    if (!!this.opts.requireConsent !== prevConsent[0] || this.opts.consentBufferSize !== prevConsent[1]) {
+      this.consent = this._createConsent()
+    }
+    this._applyDiagnostics()
+    this._registerSchemas(this.opts.schemas)
+    this._sampleSeed = null
+  }
+
+  /**
+   * 按当前 opts 更新日志级别 / sink 与调试面板（重新 init、远程配置合并后调用）
+   */
+  _applyDiagnostics() {
+    this.logger.setLevel(this.opts.logLevel || (this.opts.debug ? 'debug' : 'error'))
+    this.logger.setSink(this.opts.logSink)
+    if (this.opts.debug && !this._inspector) {
+      this._inspector = createInspector({ title: `FrontendTracker · ${this.opts.trackerId}` })
+    } else if (!this.opts.debug && this._inspector) {
+      this._inspector.close()
+      this._inspector = null
+    }
+  }
+
+  /**
+   * 把 { [igluUri]: jsonSchema } 注册到本地 schema 仓库，无效的 schema 只记录警告
+   */
+  _registerSchemas(schemas) {
+    if (!schemas || typeof schemas !== 'object') return
+    Object.keys(schemas).forEach(uri => {
+      try {
+        this.schemaRegistry.register(uri, schemas[uri])
+      } catch (e) {
+        this.logger.child('schema').warn(e.message)
+      }
+    })
+  }
+
+  /**
+   * 本实例对应的 snowplow tracker 列表（传给 snowplow API 的 trackers 参数）
+   * 不传 trackers 时 snowplow 会广播给所有已创建的 tracker，这里始终显式限定
+   */
+  get trackers() {
+    return [this.opts.trackerId]
+  }
+
+  /**
+   * 注册事件中间件，按注册顺序执行，返回取消注册函数
+   * 中间件约定见 utils/middleware.js：返回新 event 替换、undefined 放行、null/false 丢弃
+   *
+   * tracker.use((event) => {
+   *   if (event.type === 'struct' && event.category === 'debug') return null
+   *   return { ...event, label: event.label || 'n/a' }
+   * })
+   */
+  use(fn) {
+    if (typeof fn !== 'function') throw new TypeError('[FrontendTracker]: middleware must be a function')
+    this._middlewares.push(fn)
+    return () => {
+      const idx = this._middlewares.indexOf(fn)
+      if (idx !== -1) this._middlewares.splice(idx, 1)
+    }
+  }
+
+  /**
+   * 设置当前登录用户，后续事件都会携带 userId（snowplow 原生 uid 字段）与 traits
+   */
+  identify(userId, traits = {}) {
+    this.globals.identify(userId, traits)
+    this._syncUserId()
+    return this
+  }
+
+  /**
+   * 设置全局属性，后续事件都会携带
+   * options.scope: 'session'（默认，整个会话有效）| 'page'（直到下一次路由变化）
+   */
+  setGlobalProperties(props = {}, { scope = 'session' } = {}) {
+    this.globals.setProperties(props, scope)
+    return this
+  }
+
+  /**
+   * 清空用户身份与所有全局属性（例如登出）
+   */
+  reset() {
+    this.globals.reset()
+    this._syncUserId()
+    return this
+  }
+
+  /**
+   * 把当前 userId 同步到 snowplow tracker（server 模式 / 非浏览器环境没有 snowplow tracker，跳过）
+   */
+  _syncUserId() {
+    if (this._server || !isBrowser()) return
+    try {
+      setUserId(this.globals.getUserId(), this.trackers)
+    } catch (e) {
+      this.logger.warn('setUserId failed', e)
+    }
+  }
+
+  /**
+   * 打开页面内调试面板（仅 debug: true 时可用），实时展示每个事件及其发送状态
+   */
+  openInspector() {
+    if (!this._inspector) {
+      this.logger.error('openInspector requires debug: true')
+      return false
+    }
+    return this._inspector.open()
+  }
+
+  closeInspector() {
+    this._inspector?.close()
+  }
+
+  /**
+   * 向调试面板写入一条 tracker 记录（非 debug 模式为空操作）
+   */
+  _trace(ev, status, reason) {
+    if (!this._inspector) return
+    this._inspector.record({
+      source: 'tracker',
+      type: ev.type,
+      schema: ev.schema,
+      status,
+      reason,
+      payload: ev
+    })
+  }
+
+  /**
+   * 注册本地 Iglu schema，之后使用该 schema 的自描述事件 / 错误事件会在上报前校验
+   * tracker.registerSchema('iglu:com.acme/checkout/jsonschema/1-0-0', { type: 'object', required: ['orderId'] })
+   */
+  registerSchema(uri, jsonSchema) {
+    this.schemaRegistry.register(uri, jsonSchema)
+    return this
+  }
+
+  /**
+   * 按已注册的 schema 校验事件；返回 null 表示丢弃，否则返回（可能打标后的）事件
+   */
+  _validate(ev) {
+    const mode = this.opts.schemaValidation
+    if (mode === 'off' || (ev.type !== 'self_describing' && ev.type !== 'error' && ev.type !== 'performance')) return ev
+    const result = this.schemaRegistry.validate(ev.schema, ev.data)
+    if (!result || result.valid) return ev
+    if (this.opts.debug) this.logger.child('schema').error(`event does not match schema ${ev.schema}`, result.errors, ev.data)
+    if (mode === 'drop') return null
+    return { ...ev, validation: { valid: false, errors: result.errors.slice(0, 10) } }
+  }
+
+  /**
+   * 更新授权状态：{ analytics: bool, errors: bool }，未传的类别保持不变
+   * - 授权：回放该类别缓存的事件；analytics 授权时关闭匿名模式并开启心跳/链接点击等自动采集
+   * - 拒绝：丢弃该类别缓存的事件；analytics 拒绝时恢复匿名模式并关闭自动采集
+   */
+  setConsent(consent = {}) {
+    // 先切换匿名模式，授权后回放的缓存事件即按授权后的身份发送
+    const analytics = consent && consent.analytics
+    if (this._inited && typeof analytics === 'boolean' && analytics !== this.consent.isGranted('analytics')) {
+      this._syncAnonymousTracking(analytics)
+    }
+    const changed = this.consent.setConsent(consent)
+    if (this._inited && changed.analytics === 'granted') this._enableAutoTracking()
+    if (changed.analytics === 'denied') this._disableAutoTracking()
+    return this
+  }
+
+  /**
+   * 按 analytics 授权状态切换 snowplow 匿名模式：未授权时匿名（不写 cookie、不带用户标识），
+   * 授权后恢复调用方在 otherOptions.anonymousTracking 中的配置（未配置则关闭匿名模式）
+   */
+  _syncAnonymousTracking(granted = this.consent.isGranted('analytics')) {
+    if (this._server || !isBrowser()) return
+    const own = this.opts.otherOptions && this.opts.otherOptions.anonymousTracking
+    try {
+      if (!granted) {
+        enableAnonymousTracking({}, this.trackers)
+      } else if (own) {
+        enableAnonymousTracking({ options: own }, this.trackers)
+      } else {
+        disableAnonymousTracking({}, this.trackers)
+      }
+    } catch (e) {
+      this.logger.warn('switch anonymous tracking failed', e)
+    }
+  }
+
+  /**
+   * 获取当前授权状态 { analytics, errors }，取值 pending | granted | denied
+   */
+  getConsent() {
+    return this.consent.getConsent()
+  }
+
+  /**
+   * 所有事件的统一出口：采样 → 附加全局属性 → 中间件 → schema 校验 → 授权闸门 → 分发
+   * 返回 true 表示已交给 snowplow，false 表示被丢弃、缓存或发送失败
+   */
+  _send(event) {
+    // 远程配置尚未就绪：采样、授权等配置可能还会变化，原样排队
+    if (this._starting) {
+      this._pendingQueue.push(event)
+      if (this._pendingQueue.length > this.opts.consentBufferSize) this._pendingQueue.shift()
+      this._trace(event, 'queued', 'remote config loading')
+      return false
+    }
+    // 未 init 或已 stop：不发送任何事件
+    if (!this._inited) {
+      this._trace(event, 'dropped', 'not initialized')
+      return false
+    }
+    // 采样最先执行，未命中的事件不再经过后续处理
+    const sampleRate = this._sampleRate(event.type)
+    if (sampleRate === 0) {
+      this._trace(event, 'sampled_out')
+      return false
+    }
+    const globals = this.globals.snapshot()
+    const enriched = {
+      ...event,
+      ...(globals ? { globals } : {}),
+      ...(sampleRate < 1 ? { sampleRate } : {})
+    }
+    const ev = runMiddlewares(this._middlewares, enriched, this, (msg, e) => {
+      this.logger.warn(msg, e)
+    })
+    if (!ev) {
+      this._trace(enriched, 'dropped', 'middleware')
+      return false
+    }
+    const validated = this._validate(ev)
+    if (!validated) {
+      this._trace(ev, 'invalid', 'schema validation')
+      return false
+    }
+    if (!this.consent.gate(validated)) {
+      const category = this.consent.categoryOf(validated)
+      this._trace(validated, this.consent.getConsent()[category] === 'pending' ? 'buffered' : 'denied', category)
+      return false
+    }
+    return this._dispatch(validated)
+  }
+
+  /**
+   * 计算某类型事件在当前会话的采样结果：未命中返回 0，命中返回该类型的采样率
+   * 种子取 opts.requestId：浏览器中同一会话内结果稳定，服务端按请求（实例）独立采样
+   */
+  _sampleRate(type) {
+    const rate = resolveSampleRate(this.opts.sampling, type)
+    if (rate >= 1) return 1
+    if (this._sampleSeed == null) this._sampleSeed = this.opts.requestId
+    return isSampledIn(rate, this._sampleSeed) ? rate : 0
+  }
+
+  /**
+   * SDK context 实体：全局属性、sampleRate、PV 的路由模板（中间件可改写或删除 ev.globals / ev.sampleRate / ev.route）
+   */
+  _buildContext(ev) {
+    const data = {
+      ...(ev.globals || {}),
+      ...(ev.sampleRate != null ? { sampleRate: ev.sampleRate } : {}),
+      ...(ev.validation ? { schemaInvalid: true, schemaErrors: ev.validation.errors } : {}),
+      ...(ev.route ? { routePath: ev.route.path, routeTemplate: ev.route.template } : {})
+    }
+    if (!Object.keys(data).length) return undefined
+    // context 实体必须带合法的 iglu schema，否则采集端会拒收整条事件；未配置 globalContextSchema 时不附加
+    const schema = this.opts.globalContextSchema
+    return isIgluUri(schema) ? [{ schema, data }] : undefined
+  }
+
+  /**
+   * 按 type 把事件分发给对应的 snowplow API（只发往本实例的 trackers）
+   */
+  _dispatch(ev) {
+    // 授权回放等延迟路径同样受 stop() 约束
+    if (!this._inited) {
+      this._trace(ev, 'dropped', 'not initialized')
+      return false
+    }
+    const context = this._buildContext(ev)
+    if (this._server) {
+      const ok = this._server.send(ev, context)
+      this._trace(ev, ok ? 'sent' : 'failed', 'server')
+      return ok
+    }
+    try {
+      switch (ev.type) {
+        case 'page_view':
+          trackPageView({ pageUrl: ev.pageUrl, referrer: ev.referrer, title: ev.title, context }, this.trackers)
+          break
+        case 'struct':
+          trackStructEvent({
+            category: ev.category,
+            action: ev.action,
+            label: ev.label,
+            property: ev.property,
+            value: ev.value,
+            context
+          }, this.trackers)
+          break
+        case 'self_describing':
+        case 'error':
+        case 'performance':
+          trackSelfDescribingEvent({
+            event: {
+              schema: ev.schema || 'no-schema',
+              data: ev.data
+            },
+            context
+          }, this.trackers)
+          break
+        default:
+          this.logger.warn('unknown event type', ev.type)
+          this._trace(ev, 'failed', 'unknown event type')
+          return false
+      }
+      this._trace(ev, 'sent', ev.validation ? 'schema invalid (tagged)' : undefined)
+      return true
+    } catch (e) {
+      this.logger.warn('send failed', e)
+      this._trace(ev, 'failed', String((e && e.message) || e))
+      return false
+    }
   }
 
   /**
    * 初始化 tracker（可传 router，如果要启用 router.afterEach 自动 PV）
    * router: Vue Router 实例（可选）
+   * options: 新选项（可选），合并到构造时的选项之上，用于 stop() 之后以新配置重新启动
    * 返回 this，链式友好
+   *
+   * 配置了 remoteConfig 时，先拉取远程配置（超时则用缓存，再不行用本地配置）再真正启动；
+   * 期间的事件会排队，启动完成后补发。需要等待时使用 await tracker.ready
+   * 错误监听在拉取前按本地配置安装（期间捕获的错误同样排队），启动时再按合并后的配置重建
    */
-  init(router = null) {
-    if (this._inited) return this
+  init(router = null, options = null) {
+    if (this._inited || this._starting) return this
+    if (options && typeof options === 'object') this._reconfigure(options)
 
     const o = this.opts
 
@@ -92,6 +637,51 @@ export class FrontendTracker {
     if (!o.url) throw new Error('[FrontendTracker]: url is required')
     if (!o.appId) throw new Error('[FrontendTracker]: appId is required')
 
+    if (o.remoteConfig && o.remoteConfig.url) {
+      this._starting = true
+      const token = ++this._startToken
+      this._setupErrorHandler()
+      this.ready = loadRemoteConfig({
+        cacheKey: `FT_REMOTE_CONFIG_${o.trackerId}`,
+        logger: this.logger.child('remote'),
+        ...o.remoteConfig
+      }).then(({ config, source }) => {
+        // 加载期间调用了 stop()，放弃本次启动
+        if (token !== this._startToken) return this
+        this.opts = mergeRemoteConfig(this.opts, config)
+        // 远程下发的日志级别 / debug 与 schema 同样生效
+        this._applyDiagnostics()
+        this._registerSchemas(config && config.schemas)
+        this.remoteConfigSource = source
+        this._starting = false
+        this._start(router)
+        const queued = this._pendingQueue
+        this._pendingQueue = []
+        queued.forEach(ev => this._send(ev))
+        return this
+      })
+      return this
+    }
+
+    this._start(router)
+    this.ready = Promise.resolve(this)
+    return this
+  }
+
+  /**
+   * 按当前 this.opts 真正启动：创建 snowplow tracker、自动采集、错误监听、PV 监听
+   */
+  _start(router) {
+    const o = this.opts
+    if (o.globalContextSchema && !isIgluUri(o.globalContextSchema)) {
+      this.logger.warn(`globalContextSchema 不是合法的 iglu URI，SDK context 将不会附加: ${o.globalContextSchema}`)
+    }
+
+    if (o.mode === 'server' || (o.mode !== 'browser' && !isBrowser())) {
+      this._startServer()
+      return
+    }
+
     // 初始化 snowplow tracker（参数尽量透传）
 
     const configuration = {
@@ -104,60 +694,288 @@ export class FrontendTracker {
       ...o.otherOptions
     }
 
+    // analytics 未授权时以匿名模式创建：不写入 snowplow 第一方 cookie / localStorage，也不发送用户标识，授权后再关闭
+    if (!this.consent.isGranted('analytics')) configuration.anonymousTracking = true
+
+    // 链接点击需要在 tracker 上挂载插件，否则 enableLinkClickTracking 对该 namespace 无效
+    const existing = createdTrackers.get(o.trackerId)
+    if (o.linkTrack && !existing) {
+      configuration.plugins = [...(configuration.plugins || []), LinkClickTrackingPlugin()]
+    }
+
+    this._transport = null
     if (o.useCustomFetch) {
-      configuration.customFetch = useCustomFetch({
+      this._transport = useCustomFetch({
         outboundUrl: o.url, // 你的接收端
+        collectorPath: collectorPathOf(o),
         formatInput: o.formatInput, // 可选：对 transform 后的结果做最终格式化 由sdk外部传入
         debug: !!o.debug,
         encodeBase64: o.encodeBase64,
+        logger: this.logger.child('transport'),
+        onResult: this._inspector
+          ? (result) => this._inspector?.record({ source: 'transport', type: 'batch', ...result })
+          : null
+      })
+      // 交给 snowplow 的是稳定包装：重新 init 复用 tracker 时仍能切换到新的实现
+      configuration.customFetch = (input, init) => (this._transport ? this._transport(input, init) : fetch(input, init))
+    }
+
+    if (!existing) {
+      try {
+        newTracker(o.trackerId, o.url, configuration)
+        createdTrackers.set(o.trackerId, { linkPlugin: !!o.linkTrack })
+      } catch (e) {
+        // 不要让初始化抛出的内部错误破坏宿主业务
+        this.logger.error('newTracker failed', e)
+      }
+    } else {
+      // 复用已创建的 snowplow tracker：只能更新 collector 与插件，appId / platform / 是否 customFetch 等沿用首次配置
+      this.logger.info('reuse existing snowplow tracker', o.trackerId)
+      try {
+        setCollectorUrl(o.url, this.trackers)
+        if (o.linkTrack && !existing.linkPlugin) {
+          addPlugin({ plugin: LinkClickTrackingPlugin() }, this.trackers)
+          existing.linkPlugin = true
+        }
+      } catch (e) {
+        this.logger.warn('reconfigure snowplow tracker failed', e)
+      }
+      this._syncAnonymousTracking()
+    }
+
+    // 恢复会话内已 identify 的用户
+    if (this.globals.getUserId()) this._syncUserId()
+
+    // 面包屑：点击与 console 需要安装监听，路由 / trackEvent / 接口请求在各自位置记录
+    this._createBreadcrumbs()
+    if (this.breadcrumbs) {
+      this._breadcrumbsOff = instrumentBreadcrumbs(this.breadcrumbs, typeof o.breadcrumbs === 'object' ? o.breadcrumbs : {})
+    }
+
+    // 心跳 / 链接点击由 snowplow 直接发送，无法经过授权闸门，需等 analytics 授权后再开启
+    if (this.consent.isGranted('analytics')) this._enableAutoTracking()
+
+    // 性能采集与声明式埋点经 _send 上报，授权前的事件由授权闸门缓存，因此不必等待授权再安装
+    // 性能采集（受 sampling.performance 控制，未命中时不安装 PerformanceObserver）
+    if (o.performanceTrack && this._sampleRate('performance') > 0) {
+      this._performance = createPerformanceMonitor({
+        ...(o.performanceOptions || {}),
+        logger: this.logger.child('performance'),
+        onReport: (data) => this._send({
+          type: 'performance',
+          schema: o.performanceSchema || 'no-schema',
+          data: { ...data, timestamp: Date.now() }
+        })
       })
+      this._performance.start()
     }
 
+    // data-track-* 声明式点击埋点（经 trackEvent，按 struct 采样）
+    if (o.declarativeTrack) {
+      this._declarativeOff = enableDeclarativeTracking({
+        ...(o.declarativeTrackingOptions || {}),
+        logger: this.logger.child('declarative'),
+        onTrack: ({ category, action, label, property, value }) => this.trackEvent(category, action, label, property, value)
+      })
+    }
+
+    // 错误处理（可选），使用可配置的 ErrorHandler 实例（避免全局冲突）
+    this._setupErrorHandler()
+
+    // 接口监控：异常经 errorHandler 的去重 / 限流上报，排除 tracker 自身的上报请求
+    if (o.networkTrack) {
+      if (!this.errorHandler) this.logger.child('network').warn('networkTrack requires enableErrHandler; issues will not be reported')
+      this._networkMonitor = useNetworkMonitor({
+        ...(o.networkTrackOptions || {}),
+        collectorPath: collectorPathOf(o),
+        // useCustomFetch 直接发往 url：只排除这一个地址，url 为站点根地址时不能把整个站点的接口都排除
+        excludeUrls: [o.url],
+        logger: this.logger.child('network'),
+        onRequest: (record) => this.breadcrumbs?.add({
+          category: 'network',
+          message: `${record.method} ${record.url}`,
+          data: { status: record.status, duration: record.duration, reason: record.reason }
+        }),
+        onIssue: (record) => this.errorHandler?.reportNetworkError(record)
+      })
+      this._networkMonitor.setup()
+    }
+
+    // 停留时长：从当前页开始计时，之后由 _handleRouteChange 切换
+    if (o.dwellTimeTrack) {
+      this._dwellTimer = createDwellTimer({
+        minDwellTime: o.minDwellTime,
+        logger: this.logger.child('dwell'),
+        onReport: (data) => this._send({
+          type: 'self_describing',
+          schema: o.dwellTimeSchema || 'no-schema',
+          data: { type: 'page_dwell', ...data, timestamp: Date.now() }
+        })
+      })
+      this._dwellTimer.start(window.location.href)
+    }
+
+    // 先标记已启动，startPageTracking 的首次 PV 才会被 _send 放行
+    this._inited = true
+    o.enablePageView && this.startPageTracking(router) // 启动 PV 监听
+  }
+
+  /**
+   * 按当前 opts 安装错误处理器；已安装（远程配置加载期间按本地配置临时安装）时先卸载再按最新配置重建
+   */
+  _setupErrorHandler() {
+    const o = this.opts
+    this.errorHandler?.teardown?.()
+    this.errorHandler = null
+    if (!o.enableErrHandler) return
     try {
-      newTracker(o.trackerId, o.url, configuration)
+      this.errorHandler = useErrorHandler({
+        jsErrorSchema: o.jsErrorSchema,
+        resourceErrorSchema: o.resourceErrorSchema,
+        networkErrorSchema: o.networkErrorSchema,
+        logger: this.logger.child('errors'),
+        requestId: o.requestId,
+        trackers: this.trackers,
+        // 错误统一走 _send，保证同样经过中间件（远程配置加载期间进入排队）
+        send: (schema, data) => this._send({ type: 'error', schema, data }),
+        getBreadcrumbs: () => this.breadcrumbs?.getAll(),
+        ...(typeof o.fingerprint === 'function' ? { fingerprint: o.fingerprint } : {}),
+        ...(o.errorHandlerOptions || {})
+      })
+      this.errorHandler.setup()
     } catch (e) {
-      // 不要让初始化抛出的内部错误破坏宿主业务
-      if (o.debug && console && console.error) console.error('[FrontendTracker] newTracker failed', e)
+      this.logger.child('errors').warn('create/setup errorHandler failed', e)
     }
+  }
 
-    // 活动心跳（可选）
-    if (o.activityTrack) {
+  /**
+   * 按 breadcrumbs 配置创建面包屑缓冲（false 时为 null）
+   */
+  _createBreadcrumbs() {
+    const o = this.opts
+    const cfg = typeof o.breadcrumbs === 'object' && o.breadcrumbs ? o.breadcrumbs : {}
+    this.breadcrumbs = o.breadcrumbs ? createBreadcrumbs({ max: cfg.max }) : null
+  }
+
+  /**
+   * 手动记录一条面包屑：{ category = 'manual', message, data }
+   */
+  addBreadcrumb(crumb = {}) {
+    this.breadcrumbs?.add({ category: 'manual', ...crumb })
+  }
+
+  /**
+   * server 模式启动：不创建 snowplow tracker，不安装任何 DOM 监听
+   * 事件经同一条管道（采样、中间件、校验、授权）后由 serverTransport 以 HTTP 上报
+   * 小程序（无 window）同样走这里：经 wx.request / uni.request 等上报（platform 默认 'mob'），
+   * 有可用的路由适配器时通过适配器自动上报 PV
+   */
+  _startServer() {
+    const o = this.opts
+    // 服务端没有点击 / console 采集，面包屑只来自 trackEvent 与 addBreadcrumb
+    this._createBreadcrumbs()
+    // 未传入 fetch 时，小程序环境使用其 request API（小程序没有全局 fetch）
+    const miniProgram = typeof o.fetch === 'function' ? null : findMiniProgramApi()
+    const fetchImpl = typeof o.fetch === 'function' ? o.fetch : (miniProgram ? miniProgramFetch(miniProgram) : null)
+    this._server = createServerTransport({
+      url: o.url,
+      headers: o.headers,
+      formatInput: o.formatInput,
+      platform: this._userOptions.platform || (miniProgram ? 'mob' : 'srv'),
+      ...(fetchImpl ? { fetch: fetchImpl } : {}),
+      logger: this.logger.child('transport')
+    })
+    // 错误处理器在服务端不安装全局监听（setup 会跳过），但 reportJsError 的去重 / 限流仍然可用
+    this._setupErrorHandler()
+    this._inited = true
+    // 小程序等无 DOM 但有路由适配器的环境：仍按适配器自动上报 PV
+    if (o.enablePageView && getAvailableRouteAdapters(this._routeAdapters()).length) this.startPageTracking(null)
+  }
+
+  /**
+   * 等待 server 模式下所有未完成的上报请求（SSR 响应结束前调用）；浏览器模式立即 resolve
+   */
+  flush() {
+    return this._server ? this._server.flush() : Promise.resolve()
+  }
+
+  /**
+   * 开启 snowplow 自带的自动采集（活动心跳、链接点击）
+   */
+  _enableAutoTracking() {
+    if (this._autoTrackingEnabled) return
+    const o = this.opts
+
+    // 活动心跳（可选，受 sampling.activity 控制）
+    const activityRate = o.activityTrack ? this._sampleRate('activity') : 0
+    if (activityRate > 0) {
       try {
-        enableActivityTracking(o.activityTrackingOptions || { minimumVisitLength: 10, heartbeatDelay: 10 })
+        enableActivityTracking(o.activityTrackingOptions || { minimumVisitLength: 10, heartbeatDelay: 10 }, this.trackers)
       } catch (e) {
-        if (o.debug) console.warn('[FrontendTracker] enableActivityTracking failed', e)
+        this.logger.warn('enableActivityTracking failed', e)
       }
     }
 
-    // 链接点击自动跟踪（可选）
-    if (o.linkTrack) {
+    // 链接点击自动跟踪（可选，受 sampling.link 控制）
+    const linkRate = o.linkTrack ? this._sampleRate('link') : 0
+    if (linkRate > 0) {
       try {
-        enableLinkClickTracking(o.linkClickTrackingOptions || { trackContent: true })
+        enableLinkClickTracking({ ...(o.linkClickTrackingOptions || { trackContent: true }) }, this.trackers)
       } catch (e) {
-        if (o.debug) console.warn('[FrontendTracker] enableLinkClickTracking failed', e)
+        this.logger.warn('enableLinkClickTracking failed', e)
       }
     }
 
-    // 错误处理（可选），使用可配置的 ErrorHandler 实例（避免全局冲突）
-    if (o.enableErrHandler) {
+    // 心跳与链接点击不经过 _send：用按事件类型过滤的全局 context 附带与其它事件相同的 SDK context 实体
+    // （pp = page ping，链接点击为 link_click 自描述事件），生成器在每个事件发送时读取当前的全局属性
+    if (activityRate > 0 || linkRate > 0) {
+      const isLinkClick = (args) => !!args && typeof args.eventSchema === 'string' && args.eventSchema.indexOf('/link_click/') !== -1
+      this._autoTrackingContext = [
+        (args) => !!args && ((activityRate > 0 && args.eventType === 'pp') || (linkRate > 0 && isLinkClick(args))),
+        (args) => {
+          const rate = isLinkClick(args) ? linkRate : activityRate
+          return this._buildContext({ globals: this.globals.snapshot(), sampleRate: rate < 1 ? rate : undefined })
+        }
+      ]
       try {
-        this.errorHandler = useErrorHandler({
-          jsErrorSchema: o.jsErrorSchema,
-          resourceErrorSchema: o.resourceErrorSchema,
-          debug: !!o.debug,
-          ...(o.errorHandlerOptions || {})
-        })
-        this.errorHandler.setup()
-        // 暴露 Vue 全局 handler（如果外部需要挂到 app.config）
-        this._vueErrorHandler = this.errorHandler.getVueErrorHandler()
+        addGlobalContexts([this._autoTrackingContext], this.trackers)
       } catch (e) {
-        if (o.debug) console.warn('[FrontendTracker] create/setup errorHandler failed', e)
+        this.logger.warn('addGlobalContexts failed', e)
+        this._autoTrackingContext = null
       }
     }
+    this._autoTrackingEnabled = true
+  }
 
-    o.enablePageView && this.startPageTracking(router) // 启动 PV 监听
-    this._inited = true
-    return this
+  /**
+   * 关闭 _enableAutoTracking 开启的自动采集
+   */
+  _disableAutoTracking() {
+    if (!this._autoTrackingEnabled) return
+    const o = this.opts
+    if (o.activityTrack) {
+      try {
+        disableActivityTracking(this.trackers)
+      } catch (e) {
+        this.logger.warn('disableActivityTracking failed', e)
+      }
+    }
+    if (this._autoTrackingContext) {
+      try {
+        removeGlobalContexts([this._autoTrackingContext], this.trackers)
+      } catch (e) {
+        this.logger.warn('removeGlobalContexts failed', e)
+      }
+      this._autoTrackingContext = null
+    }
+    if (o.linkTrack) {
+      try {
+        disableLinkClickTracking(this.trackers)
+      } catch (e) {
+        this.logger.warn('disableLinkClickTracking failed', e)
+      }
+    }
+    this._autoTrackingEnabled = false
   }
 
   /**
@@ -167,8 +985,15 @@ export class FrontendTracker {
   startPageTracking(router) {
     // 若已开启则忽略
     if (this._pageTrackingStarted) return true
-    // 首次上报当前页
-    this.trackPage()
+    // 首次上报当前页（小程序没有 location，取路由适配器的当前页）；
+    // 传入 Vue Router 时落地页同样取 currentRoute（Vue Router 4 为 ref）的路由模板与 meta
+    if (isBrowser()) {
+      const current = router && router.currentRoute
+      this.trackPage(undefined, undefined, current ? routeFromVueRouter(current.value || current) : null)
+    } else {
+      const url = getCurrentRouteUrl(getAvailableRouteAdapters(this._routeAdapters()))
+      if (url) this.trackPage(url, '')
+    }
     try {
       // 优先支持 Vue Router 的 router.afterEach（如果调用方传入）
       if (router && typeof router.afterEach === 'function') {
@@ -179,8 +1004,8 @@ export class FrontendTracker {
         this._routerHook = (to, from) => {
           const path = (to && (to.fullPath || to.path)) || window.location.href
           const ref = (from && (from.fullPath || from.path)) || document.referrer
-          // 使用实例方法上报（保持 this 绑定）
-          this.trackPage(path, ref)
+          // 使用实例方法上报（保持 this 绑定）；路由模板与 meta 取自 to
+          this._handleRouteChange(path, ref, routeFromVueRouter(to))
         }
 
         // 某些 router 实现（如 Vue Router 4）会返回一个卸载函数；我们尝试保存它
@@ -190,25 +1015,96 @@ export class FrontendTracker {
           this._routerOff = typeof maybeUnregister === 'function' ? maybeUnregister : null
         } catch (e) {
           // 防御性降级：如果 router.afterEach 调用失败，回退到通用监听器
-          if (this.opts.debug) console.warn('[FrontendTracker] router.afterEach failed, falling back to initRouterListener', e)
-          this._routerOff = initRouterListener((newUrl, oldUrl) => this.trackPage(newUrl, oldUrl))
+          this.logger.child('router').warn('router.afterEach failed, falling back to initRouterListener', e)
+          this._routerOff = initRouterListener((change) => this._handleRouterListenerChange(change), { adapters: this._routeAdapters() })
         }
         this._pageTrackingStarted = true
         return true
       }
       // 否则使用通用路由监听器 initRouterListener，它会返回一个取消函数
-      // initRouterListener 回调接收 (newUrl, oldUrl)
-      this._routerOff = initRouterListener((newUrl, oldUrl) => {
-        this.trackPage(newUrl, oldUrl)
-      })
+      // initRouterListener 回调接收结构化的 { from, to, navigationType, timestamp, soft }
+      this._routerOff = initRouterListener((change) => this._handleRouterListenerChange(change), { adapters: this._routeAdapters() })
       this._pageTrackingStarted = true
       return true
     } catch (err) {
-      if (this.opts.debug) console.warn('[FrontendTracker] startPageTracking failed', err)
+      this.logger.child('router').warn('startPageTracking failed', err)
       return false
     }
   }
 
+  /**
+   * 路由变化的统一处理：清理页面级状态后上报新页面
+   */
+  _handleRouteChange(pageUrl, referrer, route = null) {
+    // 先结算上一页的停留时长，再清理页面级属性
+    this._dwellTimer?.change(pageUrl)
+    this.globals.clearPage()
+    this._impressions.reset()
+    this._performance?.markRouteChange(pageUrl, referrer)
+    this.breadcrumbs?.add({ category: 'navigation', message: pageUrl, data: { from: referrer } })
+    this.trackPage(pageUrl, referrer, route)
+  }
+
+  /**
+   * 配置的路由适配器，未配置时为内置适配器
+   */
+  _routeAdapters() {
+    return Array.isArray(this.opts.routeAdapters) ? this.opts.routeAdapters : getDefaultRouteAdapters()
+  }
+
+  /**
+   * initRouterListener 的路由变化：软导航上报新页面（来源为上一页）；
+   * unload（硬导航）不产生 PV，停留时长由 dwellTimer 自身的 pagehide 结算
+   */
+  _handleRouterListenerChange(change) {
+    if (!change || change.navigationType === 'unload' || !change.to) return
+    this._handleRouteChange(change.to, change.from)
+  }
+
+  /**
+   * 由外部路由（React Router 等框架集成）主动通知一次路由变化
+   * 与 startPageTracking 记录的路由变化走同一处理逻辑（清理页面级属性、上报 PV）
+   * 使用这种方式时建议 enablePageView: false，避免与 initRouterListener 重复上报
+   * route（可选）：{ template, name, track }，由框架路由提供路由模板、页面名或跳过 PV
+   */
+  trackRouteChange(pageUrl, referrer, route = null) {
+    this._handleRouteChange(pageUrl, referrer, route)
+  }
+
+  /**
+   * 元素曝光：元素可见比例 >= threshold 且持续 >= minDuration 毫秒后上报一次（trackEvent）
+   * 同一元素在同一次页面浏览内只上报一次；路由变化时自动重置，已移出页面的元素不再观察
+   *
+   * target: 选择器 / 元素 / 元素列表
+   * options: { threshold = 0.5, minDuration = 1000, category = 'impression', action = 'expose', label, property, value, getParams(el) }
+   *   未传 getParams 时读取元素上的 data-track-*（前缀同声明式埋点的 declarativeTrackingOptions.attributePrefix）
+   * 返回取消观察的函数
+   */
+  observeImpressions(target, options = {}) {
+    const attributePrefix = (this.opts.declarativeTrackingOptions || {}).attributePrefix
+    return this._impressions.observe(target, { ...(attributePrefix ? { attributePrefix } : {}), ...options })
+  }
+
+  /**
+   * 给 init 时未传 router 的实例补挂 router.afterEach 的 PV 监听（如 Vue 插件收到已启动的实例）
+   * - 远程配置加载期间调用时，等启动完成后再挂载；未 init 或关闭了 enablePageView 时忽略
+   * - 已在用通用路由监听（initRouterListener）时不重复上报，只输出错误提示
+   */
+  attachRouter(router) {
+    if (!router) return this
+    if (this._starting) {
+      this.ready.then(() => this.attachRouter(router))
+      return this
+    }
+    if (!this._inited || !this.opts.enablePageView || this._routerInstance === router) return this
+    if (this._pageTrackingStarted) {
+      this.logger.child('router').error('page tracking already started without this router; attachRouter is ignored. Pass the router to init(router) instead')
+      return this
+    }
+    this.startPageTracking(router)
+    return this
+  }
+
   /**
    * 停止页面路由自动上报（撤销 startPageTracking 的绑定）
    * - 如果使用 initRouterListener 创建，会调用返回的取消函数
@@ -227,7 +1123,7 @@ export class FrontendTracker {
         try {
           this._routerInstance.off(this._routerHook)
         } catch (e) {
-          if (this.opts.debug) console.warn('[FrontendTracker] router.off failed', e)
+          this.logger.child('router').warn('router.off failed', e)
         }
       }
       // 清理我们在 start 中创建的本地引用
@@ -235,7 +1131,7 @@ export class FrontendTracker {
       this._routerInstance = null
       this._pageTrackingStarted = false
     } catch (e) {
-      if (this.opts.debug) console.warn('[FrontendTracker] stopPageTracking failed', e)
+      this.logger.child('router').warn('stopPageTracking failed', e)
     }
   }
 
@@ -243,10 +1139,22 @@ export class FrontendTracker {
    * 上报页面访问（PV）
    * path: 页面 URL 或 path
    * referrer: 来源 URL（可选）
+   * route: 路由信息 { template, name, track }（可选），未提供模板时按 routeRules / autoRouteTemplate 推导
    */
-  trackPage(pageUrl = (typeof window !== 'undefined' && window.location.href), referrer = (typeof document !== 'undefined' && document.referrer)) {
-    console.log('[FrontendTracker] 页面访问埋点', pageUrl, referrer)
-    trackPageView({ pageUrl, referrer })
+  trackPage(pageUrl = (typeof window !== 'undefined' && window.location.href), referrer = (typeof document !== 'undefined' && document.referrer), route = null) {
+    const info = resolveRoute(pageUrl, route, { rules: this.opts.routeRules, auto: this.opts.autoRouteTemplate })
+    if (!info.track) {
+      this.logger.debug('页面访问埋点已跳过', pageUrl)
+      return
+    }
+    this.logger.debug('页面访问埋点', pageUrl, referrer, info.template)
+    this._send({
+      type: 'page_view',
+      pageUrl,
+      referrer,
+      ...(info.name ? { title: info.name } : {}),
+      route: { path: info.path, template: info.template, name: info.name }
+    })
   }
 
   /**
@@ -258,8 +1166,9 @@ export class FrontendTracker {
     if (property != null) {
       _property = typeof property === 'string' ? property : (JSON.stringify(property) || String(property))
     }
-    console.log('~ 🚀 自定义点击事件', category, action, label, _property, value)
-    trackStructEvent({ category, action, label, property: _property, value })
+    this.logger.debug('自定义事件', category, action, label, _property, value)
+    this.breadcrumbs?.add({ category: 'event', message: `${category} / ${action}`, data: { label } })
+    this._send({ type: 'struct', category, action, label, property: _property, value })
   }
 
   /**
@@ -267,7 +1176,7 @@ export class FrontendTracker {
    */
   trackCustomDescribingEvent(data, schema = 'no-schema') {
     if (!data || typeof data !== 'object') {
-      console.warn('[FrontendTracker] trackCustomDescribingEvent data 必须是对象')
+      this.logger.warn('trackCustomDescribingEvent data 必须是对象')
       return
     }
     // 自动补 timestamp
@@ -275,13 +1184,8 @@ export class FrontendTracker {
       ...data,
       timestamp: new Date().toISOString()
     }
-    console.log('[FrontendTracker] trackCustomDescribingEvent', schema, payload)
-    trackSelfDescribingEvent({
-      event: {
-        schema,
-        data: payload
-      }
-    })
+    this.logger.debug('trackCustomDescribingEvent', schema, payload)
+    this._send({ type: 'self_describing', schema, data: payload })
   }
 
   /**
@@ -293,15 +1197,21 @@ export class FrontendTracker {
         return this.errorHandler.reportJsError(err, meta, jsErrorSchema)
       }
       // fallback: 直接打一个 self-describing event 保证不会丢
-      const payload = { timestamp: Date.now(), message: (err && err.message) || String(err), meta }
-      trackSelfDescribingEvent({
-        event: {
-          schema: jsErrorSchema || (this.opts.jsErrorSchema || 'no-schema'),
-          data: payload
-        }
-      })
+      const breadcrumbs = this.breadcrumbs?.getAll()
+      const message = (err && err.message) || String(err)
+      const info = { type: 'manual', message, frames: [] }
+      const hook = this.opts.fingerprint || (this.opts.errorHandlerOptions && this.opts.errorHandlerOptions.fingerprint)
+      const fingerprint = resolveFingerprint(hook, err, info, computeFingerprint(info), (e) => this.logger.warn('fingerprint hook failed', e))
+      const payload = {
+        timestamp: Date.now(),
+        message,
+        ...(breadcrumbs && breadcrumbs.length ? { breadcrumbs } : {}),
+        fingerprint,
+        meta
+      }
+      this._send({ type: 'error', schema: jsErrorSchema || (this.opts.jsErrorSchema || 'no-schema'), data: payload })
     } catch (e) {
-      if (this.opts.debug) console.warn('[FrontendTracker] reportJsError failed', e)
+      this.logger.warn('reportJsError failed', e)
     }
   }
 
@@ -310,19 +1220,53 @@ export class FrontendTracker {
    * Vue3: app.config.errorHandler = tracker.getVueErrorHandler()
    */
   getVueErrorHandler() {
-    return this._vueErrorHandler || this.errorHandler.getVueErrorHandler?.()
+    // 返回稳定的包装函数：stop() / 重新 init 后，已挂到 app.config 的 handler 仍指向当前的 errorHandler
+    if (!this._vueErrorHandler) {
+      this._vueErrorHandler = (err, vm, info) => {
+        const handler = this.errorHandler?.getVueErrorHandler?.()
+        if (handler) handler(err, vm, info)
+      }
+    }
+    return this._vueErrorHandler
   }
 
   /**
-   * 停止并清理实例（解除 errorHandler、router listener 等）
-   * - 注意：某些由 @snowplow/browser-tracker 启用的全局功能（例如 enableActivityTracking）可能无法被取消
-   *   —— 取决于插件本身是否提供 disable/teardown 接口；这里尽量做可撤销的清理。
+   * 停止并清理实例，撤销 init() 开启的全部功能：
+   * - errorHandler（window 监听与 onerror）、路由监听（含 History API patch）
+   * - 活动心跳、链接点击、心跳 / 链接点击附带的全局 context
+   * - 调试面板、尚未完成的远程配置启动、等待授权的缓存事件
+   * snowplow 本身不支持删除 tracker，namespace 会保留，但 stop 之后不会再有任何事件发出；
+   * 之后可调用 init(router, newOptions) 重新启动
    */
   stop() {
+    // 取消尚未完成的远程配置启动
+    this._startToken++
+    this._starting = false
+    this._pendingQueue = []
+    // 等待授权的事件属于本次运行，stop 后即使授权也不再回放
+    this.consent.clear()
     // 卸载 error handler
     this.errorHandler?.teardown?.()
+    this.errorHandler = null
+    this._networkMonitor?.teardown()
+    this._networkMonitor = null
+    this._breadcrumbsOff?.()
+    this._breadcrumbsOff = null
+    this.breadcrumbs = null
     this.stopPageTracking()
+    this._dwellTimer?.stop()
+    this._dwellTimer = null
+    this._performance?.stop()
+    this._performance = null
+    this._declarativeOff?.()
+    this._declarativeOff = null
+    this._disableAutoTracking()
+    this._impressions.disconnect()
+    this._inspector?.close()
+    this._transport = null
+    this._server = null
     this._inited = false
+    return this
   }
 }
 
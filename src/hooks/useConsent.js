@@ -0,0 +1,117 @@
+// useConsent(options) -> 返回一个按类别管理用户授权的实例
+// 设计目标：
+// - 每个类别（analytics / errors）独立维护 pending / granted / denied 三种状态
+// - pending 期间事件缓存在内存（有上限），granted 时按顺序 flush，denied 时丢弃
+// - 不开启 required 时所有类别默认 granted，行为与之前一致
+
+import { createLogger } from '../utils/logger'
+
+export const CONSENT_CATEGORIES = ['analytics', 'errors']
+
+/**
+ * options:
+ *  - required: 是否需要等待授权，默认 false
+ *  - bufferSize: 每个类别最多缓存的事件数，超出丢弃最旧的，默认 100
+ *  - onFlush: (event) => void，授权后回放缓存事件
+ *  - debug: 是否输出 debug 日志（未传 logger 时生效）
+ *  - logger: 共享 logger（utils/logger）
+ */
+export function useConsent(options = {}) {
+  const cfg = {
+    required: false,
+    bufferSize: 100,
+    onFlush: null,
+    debug: false,
+    logger: null,
+    ...options
+  }
+  cfg.bufferSize = Number.isFinite(cfg.bufferSize) && cfg.bufferSize > 0 ? Number(cfg.bufferSize) : 100
+
+  const log = cfg.logger || createLogger({ level: cfg.debug ? 'debug' : 'silent', namespace: 'consent' })
+
+  function safeLog(...args) {
+    log.debug(...args)
+  }
+
+  const initial = cfg.required ? 'pending' : 'granted'
+  const state = {}
+  const buffers = {}
+  CONSENT_CATEGORIES.forEach(c => {
+    state[c] = initial
+    buffers[c] = []
+  })
+
+  // categoryOf: 错误事件归入 errors，其余（PV / struct / 自描述）归入 analytics
+  function categoryOf(event) {
+    return event && event.type === 'error' ? 'errors' : 'analytics'
+  }
+
+  function isGranted(category) {
+    return state[category] === 'granted'
+  }
+
+  // gate: 根据类别状态决定事件去向；返回 true 表示可以立即发送
+  function gate(event) {
+    const category = categoryOf(event)
+    const s = state[category]
+    if (s === 'granted') return true
+    if (s === 'pending') {
+      const buf = buffers[category]
+      buf.push(event)
+      if (buf.length > cfg.bufferSize) buf.shift()
+      safeLog('buffered', category, event.type)
+    } else {
+      safeLog('denied, dropped', category, event.type)
+    }
+    return false
+  }
+
+  // setConsent: 传入 { analytics: bool, errors: bool }，未传的类别保持不变
+  // 返回状态发生变化的类别 { analytics: 'granted' } 等，便于调用方联动开启/关闭功能
+  function setConsent(consent = {}) {
+    const changed = {}
+    CONSENT_CATEGORIES.forEach(c => {
+      if (typeof consent[c] !== 'boolean') return
+      const next = consent[c] ? 'granted' : 'denied'
+      if (state[c] === next) return
+      state[c] = next
+      changed[c] = next
+      const pending = buffers[c]
+      buffers[c] = []
+      if (next === 'granted' && typeof cfg.onFlush === 'function') {
+        safeLog('flush', c, pending.length)
+        pending.forEach(ev => {
+          try {
+            cfg.onFlush(ev)
+          } catch (e) {
+            safeLog('flush failed', e)
+          }
+        })
+      } else if (pending.length) {
+        safeLog('discard', c, pending.length)
+      }
+    })
+    return changed
+  }
+
+  function getConsent() {
+    return { ...state }
+  }
+
+  // clear: 丢弃所有类别尚未回放的缓存事件，授权状态不变（tracker stop 时调用）
+  function clear() {
+    CONSENT_CATEGORIES.forEach(c => {
+      if (buffers[c].length) safeLog('discard', c, buffers[c].length)
+      buffers[c] = []
+    })
+  }
+
+  return {
+    categoryOf,
+    isGranted,
+    gate,
+    setConsent,
+    getConsent,
+    clear
+  }
+}
@@ -1,16 +1,35 @@
 import transformSnowplowPayload from '../utils/transformSnowplowPayload'
+import { createLogger } from '../utils/logger'
+
+// snowplow 默认的上报路径（POST tp2），用于识别 tracker 自身的请求
+export const DEFAULT_COLLECTOR_PATH = '/com.snowplowanalytics.snowplow/tp2'
 
 export function useCustomFetch(options = {}) {
   const {
     outboundUrl = null, // e.g. 'https://wh-obervability.mychery.com/v1/logs'
-    collectorPath = '/com.snowplowanalytics.snowplow/tp2',
+    collectorPath = DEFAULT_COLLECTOR_PATH,
     formatInput = null, // (optional) fn(transformedEvents) => finalPayload (sync/async)
     debug = false,
     headers = {
       'Content-Type': 'application/json'
     },
-    encodeBase64
+    encodeBase64,
+    onResult = null, // (optional) fn({ url, transformed, status, httpStatus, error })，用于调试面板等观察发送结果
+    logger = null // (optional) 共享 logger（utils/logger），未传时按 debug 自建
   } = options
+
+  const log = logger || createLogger({ level: debug ? 'debug' : 'silent', namespace: 'transport' })
+  const transformLog = log.child('transform')
+
+  // 安全地回调 onResult，观察者异常不影响发送
+  function report(result) {
+    if (typeof onResult !== 'function') return
+    try {
+      onResult(result)
+    } catch (e) {
+      log.warn('onResult failed', e)
+    }
+  }
   return async function customFetch(input, init = {}) {
     // 1. 读出原始请求 URL & 原始 bodyText（兼容 Request / (url, init)）
     let originalUrl = typeof input === 'string' ? input : (input && input.url)
@@ -35,12 +54,12 @@ export function useCustomFetch(options = {}) {
         }
       }
     } catch (e) {
-      if (debug) console.warn('[customFetch] read original body failed', e)
+      log.warn('read original body failed', e)
     }
 
     // 2. 仅处理匹配 collectorPath 的请求（避免误拦截其它 fetch）
     if (!originalUrl || !originalUrl.includes(collectorPath)) {
-      if (debug) console.debug('[customFetch] not a snowplow request, pass through:', originalUrl)
+      log.debug('not a snowplow request, pass through:', originalUrl)
       return fetch(input, init)
     }
 
@@ -49,7 +68,7 @@ export function useCustomFetch(options = {}) {
     try {
       transformed = await transformSnowplowPayload(rawBody, encodeBase64) // 用户实现的解析函数
     } catch (e) {
-      if (debug) console.error('[customFetch] transformSnowplowPayload failed', e)
+      transformLog.error('transformSnowplowPayload failed', e)
       // 如果 transform 失败，把原始 body 发出去
       transformed = rawBody
     }
@@ -62,7 +81,7 @@ export function useCustomFetch(options = {}) {
         finalPayload = (maybe instanceof Promise) ? await maybe : maybe
       }
     } catch (e) {
-      if (debug) console.error('[customFetch] formatInput failed', e)
+      transformLog.error('formatInput failed', e)
       // fallback 使用 transformed
       finalPayload = transformed
     }
@@ -76,7 +95,7 @@ export function useCustomFetch(options = {}) {
         bodyToSend = JSON.stringify(finalPayload === undefined ? transformed : finalPayload)
       }
     } catch (e) {
-      if (debug) console.error('[customFetch] JSON.stringify failed', e)
+      log.error('JSON.stringify failed', e)
       // fallback 转发原始文本（若有），否则发送一个 minimal envelope
       bodyToSend = rawBody ? String(rawBody) : JSON.stringify({
         error: 'serialization_failed',
@@ -88,29 +107,35 @@ export function useCustomFetch(options = {}) {
     // 6. 决定目标 URL：优先使用 outboundUrl（完整目标）
     let targetUrl = outboundUrl
 
-    if (debug) {
-      console.debug('[customFetch] forward to', targetUrl)
-      // 不在生产暴露过多 payload 日志，开发可打开
-      console.debug('[customFetch] bodyToSend preview:', bodyToSend && bodyToSend.slice && bodyToSend.slice(0, 1000))
-    }
+    if (transformLog.isEnabled('debug')) transformLog.debug('transformed', transformed)
+    log.debug('forward to', targetUrl)
+    // 不在生产暴露过多 payload 日志，开发可打开（debug 级别）
+    if (log.isEnabled('debug')) log.debug('bodyToSend preview:', bodyToSend && bodyToSend.slice && bodyToSend.slice(0, 1000))
 
     // options.headers 即外部传入的 headers
     const _headers = buildMergedHeaders(init?.headers, headers)
-    const res = await fetch(targetUrl, {
-      method: 'POST',
-      headers: _headers,
-      body: bodyToSend,
-      // keepalive 可提高在 page unload 时发送成功率（有限）
-      keepalive: true,
-      // credentials 按需透传
-      credentials: init?.credentials
-    })
+    let res
+    try {
+      res = await fetch(targetUrl, {
+        method: 'POST',
+        headers: _headers,
+        body: bodyToSend,
+        // keepalive 可提高在 page unload 时发送成功率（有限）
+        keepalive: true,
+        // credentials 按需透传
+        credentials: init?.credentials
+      })
+    } catch (e) {
+      report({ url: targetUrl, transformed, status: 'error', httpStatus: null, error: String((e && e.message) || e) })
+      throw e
+    }
+    report({ url: targetUrl, transformed, status: res.ok ? 'ok' : 'error', httpStatus: res.status })
 
 
     // 8. 你可以自定义：如果你想要 SDK 觉得“发送成功”，就返回后端的真实 Response；
     //    如果你希望屏蔽后端失败不影响 SDK，可返回一个模拟 200 Response：
-    if (!res.ok && debug) {
-      console.warn('[customFetch] target responded not ok', res.status)
+    if (!res.ok) {
+      log.warn('target responded not ok', res.status)
     }
     return res
   }
@@ -8,48 +8,78 @@
 
 import { trackSelfDescribingEvent } from '@snowplow/browser-tracker'
 import { getRequestId } from '../utils/index' // 你的工具函数（可能抛异常，内部做了保护）
+import { createLogger } from '../utils/logger'
+import { parseStack } from '../utils/stackParser'
+import { computeFingerprint, resolveFingerprint, normalizeFile, hashString } from '../utils/fingerprint'
 
 /**
  * options:
  *  - jsErrorSchema: 字符串，默认 null（上报时使用的 schema）
  *  - resourceErrorSchema: 资源错误的 schema
+ *  - networkErrorSchema: 接口请求异常（HTTP 错误、超时、中断、慢请求）的 schema
  *  - dedupIntervalMs: 去重时间窗，默认 60s
  *  - rateLimitPerMinute: 整体速率限制（条/分钟），默认 300
  *  - maxRecentErrors: recentErrors Map 的最大大小，用于内存控制，默认 2000
- *  - debug: 是否启用 debug 日志
+ *  - debug: 是否启用 debug 日志（未传 logger 时生效）
+ *  - logger: 共享 logger（utils/logger），传入时忽略 debug，日志级别由 logger 决定
  *  - swallowErrors: window.onerror 包装器是否吞掉错误（返回 true，默认 false）
+ *  - trackers: 上报目标的 snowplow trackerId 列表，默认 undefined（即所有 tracker）
+ *  - ignoreErrors: 忽略的错误，数组元素为字符串（message 包含即忽略）或 RegExp，默认 []
+ *  - requestId: 上报负载中的 requestId，默认取 getRequestId()（服务端请传入，否则每条错误各生成一个）
+ *  - send: 自定义发送函数 (schema, data) => void，传入时替代直接调用 trackSelfDescribingEvent
+ *  - getBreadcrumbs: () => Array，传入时每条错误附带最近的面包屑（breadcrumbs 字段）
+ *  - parseStack: 是否把 stack 解析为结构化 frames，默认 true
+ *  - sdkFilePatterns: 标记为 SDK 帧（frame.sdk）的文件路径规则，默认匹配 frontend-tracking-tool 与 @snowplow
+ *  - stackLimit: 原始 stack 保留的最大长度，默认 4000
+ *  - fingerprint: (err, { type, message, frames, defaultFingerprint }) => string | null，自定义错误指纹，
+ *    返回空值时使用默认指纹（见 utils/fingerprint）；指纹同时作为去重 key 并随事件上报
+ *  - fingerprintFrames: 默认指纹使用的应用内帧数，默认 3
+ *  - fingerprintFunctionNames: 默认指纹是否包含函数名，'auto'（默认，压缩产物中的函数名不计入）| true | false
  */
 
 const DEFAULT_MAX_RECENT_ERRORS = 500
 const DEFAULT_STRING_LIMIT = 500
+const DEFAULT_STACK_LIMIT = 4000
 export function useErrorHandler(options = {}) {
   // 合并默认配置，保证每个字段都有定义
   const cfg = {
     jsErrorSchema: null,
     resourceErrorSchema: null,
+    networkErrorSchema: null,
     dedupIntervalMs: 60 * 1000,
     rateLimitPerMinute: 300,
     maxRecentErrors: DEFAULT_MAX_RECENT_ERRORS,
     debug: false,
     swallowErrors: false,
+    trackers: undefined,
+    requestId: null,
+    send: null,
+    getBreadcrumbs: null,
+    parseStack: true,
+    sdkFilePatterns: undefined,
+    stackLimit: DEFAULT_STACK_LIMIT,
+    fingerprint: null,
+    fingerprintFrames: 3,
+    fingerprintFunctionNames: 'auto',
+    ignoreErrors: [],
+    logger: null,
     ...options
   }
 
+  // 未注入 logger 时按 debug 自建一个（独立使用 useErrorHandler 的场景）
+  const log = cfg.logger || createLogger({ level: cfg.debug ? 'debug' : 'silent', namespace: 'errors' })
+
   // ====== 规范化配置 ======
+  cfg.ignoreErrors = Array.isArray(cfg.ignoreErrors) ? cfg.ignoreErrors : []
   cfg.dedupIntervalMs = Number.isFinite(cfg.dedupIntervalMs) && cfg.dedupIntervalMs > 0 ? Number(cfg.dedupIntervalMs) : 60 * 1000
   // rateLimitPerMinute: 如果用户想要无限上报，允许设置为 Infinity；若传 0 或负数，认为是禁用上报（这里我们用 Infinity 避免误配置）
   cfg.rateLimitPerMinute = Number.isFinite(cfg.rateLimitPerMinute) && cfg.rateLimitPerMinute > 0 ? Number(cfg.rateLimitPerMinute) : Infinity
   // maxRecentErrors 最小为 100，避免误配导致频繁 prune
   cfg.maxRecentErrors = Math.max(100, Number.isFinite(cfg.maxRecentErrors) ? Number(cfg.maxRecentErrors) : DEFAULT_MAX_RECENT_ERRORS)
 
-  // safeLog: 受控的 debug 输出封装（避免在没有 console 的环境异常）
+  // safeLog: 内部诊断日志（debug 级别，logger 自身保证不会抛错）
   function safeLog(...args) {
-    if (cfg.debug && typeof console !== 'undefined' && console.debug) {
-      try {
-        console.debug('[ErrorHandler]', ...args)
-      } catch (e) { /* 忽略控制台异常 */
-      }
-    }
+    log.debug(...args)
   }
 
   // safeStringify: 尝试安全地把对象转为字符串（避免循环引用崩溃）
@@ -68,8 +98,9 @@ export function useErrorHandler(options = {}) {
     }
   }
 
-  // safeGetRequestId: 调用外部 getRequestId，但做 try/catch 保护（防止抛错影响上报）
+  // safeGetRequestId: 优先使用传入的 requestId；否则调用外部 getRequestId，但做 try/catch 保护（防止抛错影响上报）
   function safeGetRequestId() {
+    if (cfg.requestId) return cfg.requestId
     try {
       return getRequestId()
     } catch (e) {
@@ -88,6 +119,35 @@ export function useErrorHandler(options = {}) {
     }
   }
 
+  // buildStackFields: 原始 stack（按 stackLimit 截断）+ 从完整 stack 解析出的 frames
+  // 解析在截断之前进行，避免 500 字符截断丢掉关键帧
+  function buildStackFields(rawStack) {
+    if (!rawStack) return { stack: null }
+    const full = typeof rawStack === 'string' ? rawStack : safeStringify(rawStack, cfg.stackLimit)
+    const fields = { stack: normalizeString(full, cfg.stackLimit) }
+    if (cfg.parseStack) {
+      try {
+        const frames = parseStack(full, { sdkPatterns: cfg.sdkFilePatterns })
+        if (frames.length) fields.frames = frames
+      } catch (e) {
+        safeLog('parseStack failed', e)
+      }
+    }
+    return fields
+  }
+
+  // applyFingerprintHook: 优先使用 cfg.fingerprint 的返回值（数组会被拼接后哈希），否则为默认指纹
+  function applyFingerprintHook(err, info, defaultFingerprint) {
+    return resolveFingerprint(cfg.fingerprint, err, info, defaultFingerprint, e => safeLog('fingerprint hook failed', e))
+  }
+
+  // errorFingerprint: JS 类错误（manual / js / unhandledrejection）的指纹
+  function errorFingerprint(err, type, message, frames) {
+    const info = { type, message, frames: frames || [] }
+    const defaultFingerprint = computeFingerprint(info, { maxFrames: cfg.fingerprintFrames, functionNames: cfg.fingerprintFunctionNames })
+    return applyFingerprintHook(err, info, defaultFingerprint)
+  }
+
   // extractMessageFromErr: 从错误对象中抽取 message 字段（尽量友好）
   function extractMessageFromErr(err) {
     if (!err) return 'UnknownError'
@@ -96,6 +156,20 @@ export function useErrorHandler(options = {}) {
     return safeStringify(err, 200)
   }
 
+  // isIgnored: message 命中 ignoreErrors 任一规则则忽略（远程配置下发时只能是字符串）
+  function isIgnored(message) {
+    if (!cfg.ignoreErrors.length || !message) return false
+    const msg = String(message)
+    return cfg.ignoreErrors.some(rule => {
+      try {
+        if (rule instanceof RegExp) return rule.test(msg)
+        return typeof rule === 'string' && rule !== '' && msg.includes(rule)
+      } catch (e) {
+        return false
+      }
+    })
+  }
+
   // 实例级别内部状态（每个 handler 一个独立实例）
   const recentErrors = new Map() // key -> timestamp(ms)，用于去重
   let windowStart = Date.now()   // 速率计数窗口起点
@@ -139,7 +213,7 @@ export function useErrorHandler(options = {}) {
   }
 
   // shouldSendError: 去重 + 全局速率控制的核心函数
-  // 返回 true 表示允许上报，false 表示丢弃
+  // key 为错误指纹（见 resolveFingerprint）；返回 true 表示允许上报，false 表示丢弃
   function shouldSendError(key) {
     if (!key) key = 'unknown'
     try {
@@ -171,21 +245,38 @@ export function useErrorHandler(options = {}) {
     }
   }
 
-  // buildPayload: 构造通用上报负载（加上 timestamp, requestId）
+  // safeGetBreadcrumbs: 读取面包屑快照，失败或为空时返回 null
+  function safeGetBreadcrumbs() {
+    if (typeof cfg.getBreadcrumbs !== 'function') return null
+    try {
+      const list = cfg.getBreadcrumbs()
+      return Array.isArray(list) && list.length ? list : null
+    } catch (e) {
+      safeLog('getBreadcrumbs failed', e)
+      return null
+    }
+  }
+
+  // buildPayload: 构造通用上报负载（加上 timestamp, requestId, breadcrumbs）
   function buildPayload(base) {
+    const breadcrumbs = safeGetBreadcrumbs()
     return {
       timestamp: Date.now(),
       requestId: safeGetRequestId(),
+      ...(breadcrumbs ? { breadcrumbs } : {}),
       ...base
     }
   }
 
   // safeTrack: 调用 snowplow 的 trackSelfDescribingEvent 的保护封装
   // 如果 trackSelfDescribingEvent 不存在或抛错，catch 掉，避免中断主应用
+  // 配置了 cfg.send 时（例如由 FrontendTracker 注入以走中间件管道），优先使用它
   function safeTrack(schema, data) {
     try {
-      if (typeof trackSelfDescribingEvent === 'function') {
-        trackSelfDescribingEvent({ event: { schema: schema || 'no-schema', data } })
+      if (typeof cfg.send === 'function') {
+        cfg.send(schema || 'no-schema', data)
+      } else if (typeof trackSelfDescribingEvent === 'function') {
+        trackSelfDescribingEvent({ event: { schema: schema || 'no-schema', data } }, cfg.trackers)
       } else {
         safeLog('trackSelfDescribingEvent not available; skipping event', schema, data && data.type)
       }
@@ -199,22 +290,20 @@ export function useErrorHandler(options = {}) {
   function reportJsError(err, meta = {}, jsErrorSchema = null) {
     try {
       const message = extractMessageFromErr(err)
-      const stack = normalizeString(err && (err.stack || err.stackTrace) || meta.stack || null)
-      const key = `${message}|${(stack && stack.slice(0, 200)) || ''}`
-      if (!shouldSendError(key)) return
+      const { stack, frames } = buildStackFields(err && (err.stack || err.stackTrace) || meta.stack || null)
+      if (isIgnored(message)) return
+      const fingerprint = errorFingerprint(err, 'manual', message, frames)
+      if (!shouldSendError(fingerprint)) return
       const payload = buildPayload({
         type: 'manual',
         message,
         stack,
-        ...meta
+        ...(frames ? { frames } : {}),
+        ...meta,
+        fingerprint
       })
       safeTrack(jsErrorSchema || cfg.jsErrorSchema || 'no-schema', payload)
-      if (cfg.debug) {
-        try {
-          console.error('[reportJsError]', payload)
-        } catch (e) { /* ignore */
-        }
-      }
+      log.info('reportJsError', payload)
     } catch (e) {
       // 手动上报函数内部错误也不能抛出
       safeLog('reportJsError failed', e)
@@ -231,44 +320,40 @@ export function useErrorHandler(options = {}) {
         const url = target.src || target.href
         const tag = (target.tagName && String(target.tagName)) || 'unknown'
         const message = `ResourceError: ${tag} ${url}`
-        const key = `resource|${tag}|${url}`
-        if (!shouldSendError(key)) return
+        if (isIgnored(message)) return
+        // 资源 URL 去掉 query 与构建哈希，缓存刷新后的同一资源归为一组
+        const fingerprint = applyFingerprintHook(e, { type: 'resource', message, frames: [] }, hashString(`resource|${tag}|${normalizeFile(url)}`))
+        if (!shouldSendError(fingerprint)) return
         const payload = buildPayload({
           type: 'resource',
           message,
           resourceUrl: url,
-          tagName: tag
+          tagName: tag,
+          fingerprint
         })
         safeTrack(cfg.resourceErrorSchema || 'no-schema', payload)
-        if (cfg.debug) {
-          try {
-            console.error('[resource error]', payload)
-          } catch (err) { /* ignore */
-          }
-        }
+        log.info('resource error', payload)
         return
       }
 
       // 2) 普通 JS ErrorEvent / 由 onerror wrapper 传入的对象
       const message = (e && (e.message || (e.error && e.error.message))) || (typeof e === 'string' ? e : 'UnknownError')
-      const stack = normalizeString(e && (e.error && e.error.stack) || e && e.stack || null)
-      const key = `error|${message}|${(stack && stack.slice(0, 200)) || ''}`
-      if (!shouldSendError(key)) return
+      const { stack, frames } = buildStackFields(e && (e.error && e.error.stack) || e && e.stack || null)
+      if (isIgnored(message)) return
+      const fingerprint = errorFingerprint((e && e.error) || e, 'js', message, frames)
+      if (!shouldSendError(fingerprint)) return
       const payload = buildPayload({
         type: 'js',
         message,
         filename: e?.filename || (e?.error && e?.error?.fileName) || null,
         lineno: e?.lineno || null,
         colno: e?.colno || null,
-        stack
+        stack,
+        ...(frames ? { frames } : {}),
+        fingerprint
       })
       safeTrack(cfg.jsErrorSchema || 'no-schema', payload)
-      if (cfg.debug) {
-        try {
-          console.error('[window.error 捕获]', payload)
-        } catch (err) { /* ignore */
-        }
-      }
+      log.info('window.error 捕获', payload)
     } catch (err) {
       safeLog('handleWindowErrorEvent failed', err)
     }
@@ -279,26 +364,54 @@ export function useErrorHandler(options = {}) {
     try {
       const reason = e && e.reason
       const message = (reason && (reason.message || safeStringify(reason, 200))) || 'UnhandledRejection'
-      const stack = normalizeString(reason && reason.stack)
-      const key = `unhandledrejection|${message}|${(stack && stack.slice(0, 200)) || ''}`
-      if (!shouldSendError(key)) return
+      const { stack, frames } = buildStackFields(reason && reason.stack)
+      if (isIgnored(message)) return
+      const fingerprint = errorFingerprint(reason, 'unhandledrejection', message, frames)
+      if (!shouldSendError(fingerprint)) return
       const payload = buildPayload({
         type: 'unhandledrejection',
         message,
-        stack
+        stack,
+        ...(frames ? { frames } : {}),
+        fingerprint
       })
       safeTrack(cfg.jsErrorSchema || 'no-schema', payload)
-      if (cfg.debug) {
-        try {
-          console.error('[unhandledrejection 捕获]', payload)
-        } catch (err) { /* ignore */
-        }
-      }
+      log.info('unhandledrejection 捕获', payload)
     } catch (err) {
       safeLog('handleUnhandledRejection failed', err)
     }
   }
 
+  // reportNetworkError: 上报 useNetworkMonitor 记录的接口异常，与其它错误共用去重 / 限流
+  // 同一接口（method + 规范化 URL）同一原因 / 状态码在去重时间窗内只报一次
+  function reportNetworkError(record) {
+    try {
+      if (!record) return
+      const message = record.reason === 'slow'
+        ? `SlowRequest: ${record.method} ${record.url} ${record.duration}ms`
+        : `NetworkError: ${record.method} ${record.url} ${record.status || record.reason}`
+      if (isIgnored(message)) return
+      const key = `network|${record.method}|${record.url}|${record.reason}|${record.status}`
+      const fingerprint = applyFingerprintHook(record, { type: 'network', message, frames: [] }, hashString(key))
+      if (!shouldSendError(fingerprint)) return
+      const payload = buildPayload({
+        type: 'network',
+        message,
+        transport: record.transport,
+        method: record.method,
+        url: record.url,
+        status: record.status,
+        duration: record.duration,
+        reason: record.reason,
+        fingerprint
+      })
+      safeTrack(cfg.networkErrorSchema || cfg.jsErrorSchema || 'no-schema', payload)
+      log.info('network issue', payload)
+    } catch (e) {
+      safeLog('reportNetworkError failed', e)
+    }
+  }
+
   // onErrorWrapper: 包装旧式 window.onerror 的适配器
   // 它既会把参数封成一个对象交给 handleWindowErrorEvent，也会调用原先的 window.onerror（若存在）
   function onErrorWrapper(message, source, lineno, colno, error) {
@@ -402,11 +515,12 @@ export function useErrorHandler(options = {}) {
     }
   }
 
-  // 返回实例 API：setup/teardown/reportJsError/getVueErrorHandler
+  // 返回实例 API：setup/teardown/reportJsError/reportNetworkError/getVueErrorHandler
   return {
     setup,
     teardown,
     reportJsError,
+    reportNetworkError,
     getVueErrorHandler,
     // 内部对象暴露仅用于 debug/测试（谨慎使用）
     _internal: {
@@ -0,0 +1,118 @@
+// useGlobalProperties(options) -> 返回一个全局属性仓库实例
+// 设计目标：
+// - 保存登录用户（identify）与业务超级属性（setGlobalProperties），让后续每个事件都携带
+// - 属性分两种作用域：session（整个会话，持久化到 sessionStorage）/ page（直到下一次路由变化）
+// - 每个 tracker 一个实例，持久化 key 按 trackerId 隔离
+
+import { createLogger } from '../utils/logger'
+
+/**
+ * options:
+ *  - storageKey: sessionStorage 的 key，默认 'FT_GLOBALS'
+ *  - debug: 是否输出 debug 日志（未传 logger 时生效）
+ *  - logger: 共享 logger（utils/logger）
+ */
+export function useGlobalProperties(options = {}) {
+  const cfg = {
+    storageKey: 'FT_GLOBALS',
+    debug: false,
+    logger: null,
+    ...options
+  }
+
+  const log = cfg.logger || createLogger({ level: cfg.debug ? 'debug' : 'silent', namespace: 'globals' })
+
+  function safeLog(...args) {
+    log.debug(...args)
+  }
+
+  // 从 sessionStorage 恢复会话级状态（刷新页面后 identify 仍然有效）
+  function load() {
+    try {
+      if (typeof sessionStorage === 'undefined') return null
+      const raw = sessionStorage.getItem(cfg.storageKey)
+      return raw ? JSON.parse(raw) : null
+    } catch (e) {
+      safeLog('load failed', e)
+      return null
+    }
+  }
+
+  function persist() {
+    try {
+      if (typeof sessionStorage === 'undefined') return
+      sessionStorage.setItem(cfg.storageKey, JSON.stringify({ userId, traits, sessionProps }))
+    } catch (e) {
+      safeLog('persist failed', e)
+    }
+  }
+
+  const saved = load() || {}
+  let userId = saved.userId || null
+  let traits = saved.traits || {}
+  let sessionProps = saved.sessionProps || {}
+  let pageProps = {}
+
+  // identify: 设置当前用户；同一用户时 traits 与已有 traits 合并，切换用户时丢弃上一个用户的 traits
+  function identify(id, newTraits = {}) {
+    const nextId = id == null ? null : String(id)
+    traits = nextId === userId ? { ...traits, ...(newTraits || {}) } : { ...(newTraits || {}) }
+    userId = nextId
+    persist()
+  }
+
+  // setProperties: scope 为 'page' 时只在当前页面有效，其余情况按 session 处理
+  function setProperties(props = {}, scope = 'session') {
+    if (!props || typeof props !== 'object') return
+    if (scope === 'page') {
+      pageProps = { ...pageProps, ...props }
+      return
+    }
+    sessionProps = { ...sessionProps, ...props }
+    persist()
+  }
+
+  // clearPage: 路由变化时调用，丢弃页面级属性
+  function clearPage() {
+    pageProps = {}
+  }
+
+  // reset: 登出时调用，清空用户与所有属性
+  function reset() {
+    userId = null
+    traits = {}
+    sessionProps = {}
+    pageProps = {}
+    try {
+      if (typeof sessionStorage !== 'undefined') sessionStorage.removeItem(cfg.storageKey)
+    } catch (e) {
+      safeLog('reset storage failed', e)
+    }
+  }
+
+  function getUserId() {
+    return userId
+  }
+
+  // snapshot: 当前生效的全局属性；page 级覆盖 session 级；全部为空时返回 null
+  function snapshot() {
+    const properties = { ...sessionProps, ...pageProps }
+    const hasTraits = Object.keys(traits).length > 0
+    const hasProps = Object.keys(properties).length > 0
+    if (!userId && !hasTraits && !hasProps) return null
+    return {
+      userId,
+      ...(hasTraits ? { traits: { ...traits } } : {}),
+      ...(hasProps ? { properties } : {})
+    }
+  }
+
+  return {
+    identify,
+    setProperties,
+    clearPage,
+    reset,
+    getUserId,
+    snapshot
+  }
+}
@@ -0,0 +1,229 @@
+// useNetworkMonitor(options) -> 返回 { setup, teardown }
+// 包装 window.fetch 与 XMLHttpRequest，记录每个接口请求的 method / 规范化 URL / status / 耗时 / 失败原因
+// - 每个请求通过 onRequest(record) 输出（调试、面包屑等）
+// - HTTP 错误（4xx/5xx）、超时、中断、网络错误与慢请求通过 onIssue(record) 输出，由调用方走错误上报的去重 / 限流
+// - 跳过 tracker 自身的上报流量（collectorPath、excludeUrls）
+
+import { createLogger } from '../utils/logger'
+import { DEFAULT_COLLECTOR_PATH } from './useCustomFetch'
+
+/**
+ * options:
+ *  - slowThreshold: 慢请求阈值（ms），默认 3000，<= 0 时不报告慢请求
+ *  - collectorPath: snowplow 上报路径，默认同 useCustomFetch（tracker 传入与 useCustomFetch 相同的值）
+ *  - excludeUrls: 额外排除的上报地址（如 customFetch 的 outboundUrl），按完整地址匹配（忽略 query / hash），不做前缀匹配
+ *  - ignoreUrls: 业务上不关心的请求，数组元素为字符串（URL 包含即忽略）或 RegExp
+ *  - onRequest(record): 每个请求结束时回调
+ *  - onIssue(record): 请求失败或过慢时回调
+ *  - logger
+ *
+ * record: { transport: 'fetch' | 'xhr', method, url, status, duration, ok, reason }
+ *  reason: null | 'http_error' | 'timeout' | 'abort' | 'network_error' | 'slow'
+ */
+export function useNetworkMonitor(options = {}) {
+  const cfg = {
+    slowThreshold: 3000,
+    collectorPath: DEFAULT_COLLECTOR_PATH,
+    excludeUrls: [],
+    ignoreUrls: [],
+    onRequest: null,
+    onIssue: null,
+    logger: null,
+    ...options
+  }
+  const log = cfg.logger || createLogger({ level: 'silent', namespace: 'network' })
+  const excludeUrls = (Array.isArray(cfg.excludeUrls) ? cfg.excludeUrls : []).filter(Boolean).map(endpointOf)
+  const ignoreUrls = Array.isArray(cfg.ignoreUrls) ? cfg.ignoreUrls : []
+
+  let _installed = false
+  // 本次安装的开关：teardown 时因被他人再次包装而无法移除的包装函数据此变为直通
+  let _session = null
+  let _origFetch = null
+  let _patchedFetch = null
+  let _origOpen = null
+  let _origSend = null
+  let _patchedOpen = null
+  let _patchedSend = null
+
+  function isExcluded(url) {
+    if (!url) return true
+    if (cfg.collectorPath && url.includes(cfg.collectorPath)) return true
+    if (excludeUrls.length && excludeUrls.includes(endpointOf(url))) return true
+    return ignoreUrls.some(rule => {
+      try {
+        if (rule instanceof RegExp) return rule.test(url)
+        return typeof rule === 'string' && rule !== '' && url.includes(rule)
+      } catch (e) {
+        return false
+      }
+    })
+  }
+
+  function now() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now()
+  }
+
+  function finish(record) {
+    try {
+      cfg.onRequest?.(record)
+      if (record.reason) cfg.onIssue?.(record)
+    } catch (e) {
+      log.warn('network record callback failed', e)
+    }
+  }
+
+  function buildRecord(transport, method, rawUrl, start, status, failure) {
+    const duration = Math.round(now() - start)
+    let reason = failure || null
+    if (!reason && (status >= 400 || status === 0)) reason = status === 0 ? 'network_error' : 'http_error'
+    if (!reason && cfg.slowThreshold > 0 && duration >= cfg.slowThreshold) reason = 'slow'
+    return {
+      transport,
+      method: String(method || 'GET').toUpperCase(),
+      url: normalizeRequestUrl(rawUrl),
+      status: status || 0,
+      duration,
+      ok: !failure && status > 0 && status < 400,
+      reason
+    }
+  }
+
+  // fetch 失败原因：AbortSignal.timeout 为 TimeoutError，手动 abort 为 AbortError
+  function fetchFailure(err) {
+    const name = err && err.name
+    if (name === 'TimeoutError') return 'timeout'
+    if (name === 'AbortError') return 'abort'
+    return 'network_error'
+  }
+
+  function patchFetch(session) {
+    if (typeof window.fetch !== 'function') return
+    _origFetch = window.fetch
+    const orig = _origFetch
+    _patchedFetch = function (input, init) {
+      let url = ''
+      let method = 'GET'
+      try {
+        url = typeof input === 'string' ? input : (input && (input.url || String(input))) || ''
+        method = (init && init.method) || (input && input.method) || 'GET'
+      } catch (e) { /* 读取失败时按未知请求处理 */
+      }
+      if (!session.active || isExcluded(url)) return orig.apply(this, arguments)
+      const start = now()
+      return orig.apply(this, arguments).then(res => {
+        finish(buildRecord('fetch', method, url, start, res && res.status))
+        return res
+      }, err => {
+        finish(buildRecord('fetch', method, url, start, 0, fetchFailure(err)))
+        throw err
+      })
+    }
+    window.fetch = _patchedFetch
+  }
+
+  function patchXhr(session) {
+    if (typeof XMLHttpRequest === 'undefined') return
+    const proto = XMLHttpRequest.prototype
+    _origOpen = proto.open
+    _origSend = proto.send
+    const origOpen = _origOpen
+    const origSend = _origSend
+    _patchedOpen = function (method, url) {
+      try {
+        this.__ftRequest = { method, url: String(url) }
+      } catch (e) { /* ignore */
+      }
+      return origOpen.apply(this, arguments)
+    }
+    _patchedSend = function () {
+      const req = this.__ftRequest
+      if (req && session.active && !isExcluded(req.url)) {
+        const start = now()
+        let failure = null
+        const onFail = (reason) => () => { failure = reason }
+        const onTimeout = onFail('timeout')
+        const onAbort = onFail('abort')
+        const onError = onFail('network_error')
+        const onEnd = () => {
+          this.removeEventListener('timeout', onTimeout)
+          this.removeEventListener('abort', onAbort)
+          this.removeEventListener('error', onError)
+          this.removeEventListener('loadend', onEnd)
+          finish(buildRecord('xhr', req.method, req.url, start, failure ? 0 : this.status, failure))
+        }
+        this.addEventListener('timeout', onTimeout)
+        this.addEventListener('abort', onAbort)
+        this.addEventListener('error', onError)
+        this.addEventListener('loadend', onEnd)
+      }
+      return origSend.apply(this, arguments)
+    }
+    proto.open = _patchedOpen
+    proto.send = _patchedSend
+  }
+
+  function setup() {
+    if (typeof window === 'undefined') {
+      log.debug('setup skipped: no window')
+      return false
+    }
+    if (_installed) return true
+    try {
+      _session = { active: true }
+      patchFetch(_session)
+      patchXhr(_session)
+      _installed = true
+      return true
+    } catch (e) {
+      log.warn('network monitor setup failed', e)
+      return false
+    }
+  }
+
+  function teardown() {
+    if (!_installed) return
+    _session.active = false
+    try {
+      // 其它库在我们之后又包装了 fetch 时不强行还原，避免破坏对方
+      if (window.fetch === _patchedFetch) window.fetch = _origFetch
+      else log.debug('window.fetch was re-wrapped by others; leave it')
+      // XHR 同理：open / send 分别判断，只还原仍是我们包装的那个
+      if (_origOpen && typeof XMLHttpRequest !== 'undefined') {
+        const proto = XMLHttpRequest.prototype
+        if (proto.open === _patchedOpen) proto.open = _origOpen
+        else log.debug('XMLHttpRequest.open was re-wrapped by others; leave it')
+        if (proto.send === _patchedSend) proto.send = _origSend
+        else log.debug('XMLHttpRequest.send was re-wrapped by others; leave it')
+      }
+    } catch (e) {
+      log.warn('network monitor teardown failed', e)
+    }
+    _installed = false
+    _origFetch = null
+    _patchedFetch = null
+    _origOpen = null
+    _origSend = null
+    _patchedOpen = null
+    _patchedSend = null
+  }
+
+  return { setup, teardown }
+}
+
+// endpointOf: 绝对地址去掉 query / hash，用于判断是否为同一上报地址
+function endpointOf(url) {
+  const u = String(url)
+  try {
+    const base = typeof location !== 'undefined' ? location.href : 'http://localhost'
+    const parsed = new URL(u, base)
+    return parsed.origin + parsed.pathname
+  } catch (e) {
+    return u.split(/[?#]/)[0]
+  }
+}
+
+// normalizeRequestUrl: 去掉 query / hash，路径中的数字与 UUID / 长十六进制段替换为 :id，便于聚合与去重
+export function normalizeRequestUrl(url) {
+  if (!url) return ''
+  return endpointOf(url).replace(/\/(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})(?=\/|$)/gi, '/:id')
+}
@@ -0,0 +1,72 @@
+// useSchemaRegistry(options) -> 返回一个本地 Iglu schema 仓库实例
+// 设计目标：
+// - registerSchema(igluUri, jsonSchema) 注册本地 schema，自描述事件 / 错误事件上报前按 schema 校验
+// - 未注册的 schema（含 'no-schema'）不校验，保持向后兼容
+// - 校验失败的处理由调用方根据返回结果决定（debug 告警、丢弃或打标）
+
+import { validateJsonSchema, isIgluUri } from '../utils/jsonSchema'
+import { createLogger } from '../utils/logger'
+
+/**
+ * options:
+ *  - schemas: 初始 schema 映射 { [igluUri]: jsonSchema }
+ *  - debug: 是否输出 debug 日志（未传 logger 时生效）
+ *  - logger: 共享 logger（utils/logger）
+ */
+export function useSchemaRegistry(options = {}) {
+  const cfg = {
+    schemas: null,
+    debug: false,
+    logger: null,
+    ...options
+  }
+
+  const log = cfg.logger || createLogger({ level: cfg.debug ? 'debug' : 'silent', namespace: 'schema' })
+
+  const schemas = new Map()
+
+  function register(uri, jsonSchema) {
+    if (!isIgluUri(uri)) throw new Error(`[FrontendTracker]: invalid iglu uri "${uri}"`)
+    if (!jsonSchema || typeof jsonSchema !== 'object') throw new Error(`[FrontendTracker]: schema for "${uri}" must be an object`)
+    schemas.set(uri, jsonSchema)
+  }
+
+  function unregister(uri) {
+    schemas.delete(uri)
+  }
+
+  function has(uri) {
+    return schemas.has(uri)
+  }
+
+  // validate: 返回 null 表示未注册（不校验），否则返回 { valid, errors }
+  function validate(uri, data) {
+    const jsonSchema = schemas.get(uri)
+    if (!jsonSchema) return null
+    try {
+      const errors = validateJsonSchema(jsonSchema, data)
+      return { valid: errors.length === 0, errors }
+    } catch (e) {
+      // 校验器自身异常不应阻断上报
+      log.warn('schema validate threw', uri, e)
+      return null
+    }
+  }
+
+  if (cfg.schemas && typeof cfg.schemas === 'object') {
+    Object.keys(cfg.schemas).forEach(uri => {
+      try {
+        register(uri, cfg.schemas[uri])
+      } catch (e) {
+        log.warn(e.message)
+      }
+    })
+  }
+
+  return {
+    register,
+    unregister,
+    has,
+    validate
+  }
+}
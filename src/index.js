@@ -1,5 +1,8 @@
 import { FrontendTracker } from './FrontendTracker'
+import { FrontendTrackerPlugin, TRACKER_INJECTION_KEY } from './vue/plugin'
 
 export {
   FrontendTracker,
+  FrontendTrackerPlugin,
+  TRACKER_INJECTION_KEY,
 }
@@ -0,0 +1,115 @@
+/**
+ * React 集成
+ *
+ * import { TrackerProvider, useTracker, TrackingErrorBoundary, useTrackPageViews } from 'frontend-tracking-tool/react'
+ *
+ * - <TrackerProvider tracker={tracker}>：通过 context 下发 tracker 实例
+ * - useTracker()：在组件中取得 tracker
+ * - <TrackingErrorBoundary fallback={...}>：捕获渲染错误，经 reportJsError 上报（附带 componentStack）
+ * - useTrackPageViews(location)：把 React Router 的 location 变化接入 trackRouteChange，不依赖 History API patch
+ *
+ * 本入口不引入 SDK 主体，只依赖 react（peerDependency），不使用 JSX
+ */
+import { createContext, createElement, useContext, useEffect, useRef, Component } from 'react'
+
+export const TrackerContext = createContext(null)
+
+/**
+ * <TrackerProvider tracker={tracker}>...</TrackerProvider>
+ */
+export function TrackerProvider({ tracker, children }) {
+  return createElement(TrackerContext.Provider, { value: tracker || null }, children)
+}
+
+/**
+ * 取得最近的 TrackerProvider 提供的 tracker；没有 Provider 时抛错，便于尽早发现接入问题
+ */
+export function useTracker() {
+  const tracker = useContext(TrackerContext)
+  if (!tracker) throw new Error('[FrontendTracker]: useTracker must be used within <TrackerProvider>')
+  return tracker
+}
+
+/**
+ * 把路由 location 变化上报为页面访问
+ * - location：React Router 的 useLocation() 返回值（或任何带 pathname / search / hash 的对象）
+ * - options.tracker：不使用 context 时显式传入
+ * 首次挂载即上报当前页；使用时建议 tracker 配置 enablePageView: false
+ *
+ * function RouteTracker() {
+ *   useTrackPageViews(useLocation())
+ *   return null
+ * }
+ */
+export function useTrackPageViews(location, options = {}) {
+  const ctxTracker = useContext(TrackerContext)
+  const tracker = options.tracker || ctxTracker
+  const prevUrl = useRef(null)
+  const key = location ? `${location.pathname || ''}${location.search || ''}${location.hash || ''}` : null
+
+  useEffect(() => {
+    if (!tracker || key == null) return
+    const origin = typeof window !== 'undefined' ? window.location.origin : ''
+    const url = `${origin}${key}`
+    if (url === prevUrl.current) return
+    const referrer = prevUrl.current || (typeof document !== 'undefined' ? document.referrer : '')
+    prevUrl.current = url
+    try {
+      tracker.trackRouteChange(url, referrer)
+    } catch (e) { /* 埋点异常不影响渲染 */
+    }
+  }, [tracker, key])
+}
+
+/**
+ * 错误边界：子树渲染 / 生命周期抛错时上报，并渲染 fallback
+ *
+ * props:
+ *  - fallback: ReactNode 或 (error, reset) => ReactNode，默认渲染 null
+ *  - meta: 附加到错误上报的额外字段
+ *  - onError: (error, info) => void，上报后回调
+ *  - tracker: 不使用 context 时显式传入
+ *  - jsErrorSchema: 覆盖实例配置的错误 schema
+ */
+export class TrackingErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { error: null }
+    this.reset = this.reset.bind(this)
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error, info) {
+    const tracker = this.props.tracker || this.context
+    try {
+      if (tracker && typeof tracker.reportJsError === 'function') {
+        tracker.reportJsError(error, {
+          source: 'react',
+          componentStack: (info && info.componentStack) || null,
+          ...(this.props.meta || {})
+        }, this.props.jsErrorSchema || null)
+      }
+    } catch (e) { /* 上报异常不影响 fallback 渲染 */
+    }
+    if (typeof this.props.onError === 'function') this.props.onError(error, info)
+  }
+
+  reset() {
+    this.setState({ error: null })
+  }
+
+  render() {
+    const { error } = this.state
+    if (error) {
+      const { fallback } = this.props
+      if (typeof fallback === 'function') return fallback(error, this.reset)
+      return fallback === undefined ? null : fallback
+    }
+    return this.props.children
+  }
+}
+
+TrackingErrorBoundary.contextType = TrackerContext
@@ -0,0 +1,207 @@
+/**
+ * 离线 source map 还原（Node）：frontend-tracking-tool/symbolicate
+ *
+ * const { createSymbolicator } = require('frontend-tracking-tool/symbolicate')
+ * const sym = createSymbolicator({ mapsDir: './dist' })
+ * const result = sym.symbolicateEvent(errorPayload)
+ *
+ * 输入为 reportJsError / handleWindowErrorEvent 上报的错误负载：
+ *  - 优先使用 frames（结构化堆栈），其次解析 stack，最后使用 filename / lineno / colno
+ * 输出在原负载上附加 frames，每帧带 original: { file, line, column, function, name, snippet }
+ *  - function：原始函数名，取自 source map 的 names（调用方帧调用处的标识符），没有调用方帧时沿用堆栈中的名称
+ *  - name：该帧位置上的标识符（names 中的 token）
+ */
+import fs from 'fs'
+import path from 'path'
+import { parseStack } from '../utils/stackParser'
+import { parseSourceMap, originalPositionFor } from './sourceMap'
+
+export { parseSourceMap, originalPositionFor } from './sourceMap'
+
+// 目录不存在或不可读时抛错，避免静默输出未还原的结果
+function walk(dir, out = []) {
+  let entries
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true })
+  } catch (e) {
+    throw new Error(`[FrontendTracker]: cannot read source map directory ${dir}: ${(e && e.message) || e}`)
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') walk(full, out)
+    } else if (entry.name.endsWith('.map')) {
+      out.push(full)
+    }
+  }
+  return out
+}
+
+// 帧的文件（URL / 路径）→ 生成文件名：去掉 query / hash，只取 basename
+export function generatedFileName(file) {
+  if (!file) return null
+  const clean = String(file).split(/[?#]/)[0]
+  const name = clean.split(/[\\/]/).pop()
+  return name || null
+}
+
+// 帧的文件（URL / 路径）→ 去掉 origin、query / hash 后的路径段
+function pathSegments(file) {
+  const clean = String(file).split(/[?#]/)[0].replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+  return clean.split(/[\\/]/).filter(Boolean)
+}
+
+/**
+ * 扫描目录下的 .map 文件建立索引，map 在首次使用时才解析
+ * - 主键为相对 mapsDir 的生成文件路径（assets/index.js），按帧 URL 的路径后缀匹配
+ * - 另以生成文件名（basename，及 map 中 file 字段的文件名）作为别名；多个 map 同名时别名作废并通过 onWarning 提示，
+ *   此时只能按相对路径匹配
+ * options: { onWarning(message) }
+ */
+export function loadSourceMaps(mapsDir, options = {}) {
+  const warn = typeof options.onWarning === 'function' ? options.onWarning : () => {}
+  const index = new Map()
+  const aliases = new Map() // basename -> entry | null（冲突）
+  const addAlias = (name, entry) => {
+    if (!name) return
+    if (!aliases.has(name)) {
+      aliases.set(name, entry)
+    } else if (aliases.get(name) && aliases.get(name) !== entry) {
+      warn(`multiple source maps for ${name} (${path.relative(mapsDir, aliases.get(name).path)}, ${path.relative(mapsDir, entry.path)}); matching by relative path only`)
+      aliases.set(name, null)
+    }
+  }
+  for (const mapPath of walk(mapsDir)) {
+    const relative = path.relative(mapsDir, mapPath).replace(/\.map$/, '').split(path.sep).join('/')
+    const entry = { path: mapPath, map: null }
+    index.set(relative, entry)
+    addAlias(path.basename(relative), entry)
+    try {
+      // 只读取 file 字段用于索引，避免一次性解析全部 mappings
+      const head = fs.readFileSync(mapPath, 'utf-8')
+      const m = /"file"\s*:\s*"([^"]+)"/.exec(head)
+      const fileName = m && generatedFileName(m[1])
+      if (fileName && fileName !== path.basename(relative)) addAlias(fileName, entry)
+    } catch (e) { /* 读取失败的 map 在使用时再报错 */
+    }
+  }
+  aliases.forEach((entry, name) => {
+    if (entry && !index.has(name)) index.set(name, entry)
+  })
+  return index
+}
+
+// 按帧文件的路径后缀查找 map：/static/assets/index.js 依次尝试 static/assets/index.js、assets/index.js、index.js
+function findEntry(index, file) {
+  const segments = pathSegments(file)
+  for (let i = 0; i < segments.length; i++) {
+    const entry = index.get(segments.slice(i).join('/'))
+    if (entry) return entry
+  }
+  return null
+}
+
+function buildSnippet(sourceContent, line, contextLines) {
+  if (!sourceContent || !line) return null
+  const lines = sourceContent.split(/\r?\n/)
+  const i = line - 1
+  if (i < 0 || i >= lines.length) return null
+  return {
+    line,
+    pre: lines.slice(Math.max(0, i - contextLines), i),
+    context: lines[i],
+    post: lines.slice(i + 1, i + 1 + contextLines)
+  }
+}
+
+/**
+ * options:
+ *  - mapsDir: .map 文件目录（递归扫描）
+ *  - contextLines: 源码片段上下文行数，默认 3
+ *  - maps: 预先构建的索引（loadSourceMaps 的返回值），传入时忽略 mapsDir
+ *  - onWarning: (message) => void，同名 map 冲突、map 解析失败时调用
+ * mapsDir 不存在或不可读时抛错
+ */
+export function createSymbolicator(options = {}) {
+  const cfg = { mapsDir: null, contextLines: 3, maps: null, onWarning: null, ...options }
+  if (!cfg.maps && !cfg.mapsDir) throw new Error('[FrontendTracker]: mapsDir is required')
+  const warn = typeof cfg.onWarning === 'function' ? cfg.onWarning : () => {}
+  const index = cfg.maps || loadSourceMaps(cfg.mapsDir, { onWarning: warn })
+
+  function getMap(file) {
+    const entry = findEntry(index, file)
+    if (!entry) return null
+    if (!entry.map) {
+      try {
+        entry.map = parseSourceMap(fs.readFileSync(entry.path, 'utf-8'))
+      } catch (e) {
+        entry.map = { error: String((e && e.message) || e) }
+        warn(`cannot parse source map ${entry.path}: ${entry.map.error}`)
+      }
+    }
+    return entry.map.error ? null : entry.map
+  }
+
+  /**
+   * 还原单帧：frame { function, file, line, column }（column 为浏览器的 1 起始列号）
+   */
+  function symbolicateFrame(frame) {
+    if (!frame || !frame.file || !frame.line) return { ...frame, symbolicated: false }
+    const map = getMap(frame.file)
+    if (!map) return { ...frame, symbolicated: false }
+    const pos = originalPositionFor(map, frame.line, Math.max(0, (frame.column || 1) - 1))
+    if (!pos || !pos.source) return { ...frame, symbolicated: false }
+    return {
+      ...frame,
+      symbolicated: true,
+      original: {
+        file: pos.source,
+        line: pos.line,
+        column: pos.column + 1,
+        // map 中该位置的 name 是出错处的标识符而非所在函数；单帧还原时沿用堆栈中的名称，
+        // symbolicateEvent 中再用调用方帧调用处的标识符（原始函数名）覆盖
+        function: frame.function || null,
+        name: pos.name,
+        snippet: buildSnippet(pos.sourceContent, pos.line, cfg.contextLines)
+      }
+    }
+  }
+
+  function framesOf(event) {
+    if (Array.isArray(event.frames) && event.frames.length) return event.frames
+    if (event.stack) {
+      const frames = parseStack(String(event.stack))
+      if (frames.length) return frames
+    }
+    if (event.filename && event.lineno) {
+      return [{ function: null, file: event.filename, line: event.lineno, column: event.colno || null }]
+    }
+    return []
+  }
+
+  /**
+   * 还原一个错误负载，返回新对象（不修改入参）
+   */
+  function symbolicateEvent(event) {
+    if (!event || typeof event !== 'object') return event
+    const frames = framesOf(event).map(symbolicateFrame)
+    // 帧 i 的函数由帧 i + 1 调用，调用处在 source map 中的 name 即帧 i 的原始函数名
+    frames.forEach((frame, i) => {
+      const caller = frames[i + 1]
+      if (frame.symbolicated && caller && caller.symbolicated && caller.original.name) {
+        frame.original.function = caller.original.name
+      }
+    })
+    return { ...event, frames }
+  }
+
+  return { symbolicateFrame, symbolicateEvent }
+}
+
+/**
+ * 便捷函数：一次性还原一组错误负载
+ */
+export function symbolicateEvents(events, options = {}) {
+  const sym = createSymbolicator(options)
+  return (Array.isArray(events) ? events : [events]).map(ev => sym.symbolicateEvent(ev))
+}
@@ -0,0 +1,141 @@
+/**
+ * Source Map v3 解析（无第三方依赖，离线可用）
+ *
+ * 支持普通 map 与 index map（sections）；mappings 按生成文件的行解码为段：
+ * [generatedColumn, sourceIndex, originalLine, originalColumn, nameIndex]（均为 0 起始）
+ */
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+const BASE64_MAP = {}
+for (let i = 0; i < BASE64.length; i++) BASE64_MAP[BASE64[i]] = i
+
+// 解码一个段中的全部 VLQ 数值
+export function decodeVlq(str) {
+  const values = []
+  let shift = 0
+  let value = 0
+  for (let i = 0; i < str.length; i++) {
+    const digit = BASE64_MAP[str[i]]
+    if (digit === undefined) throw new Error(`[FrontendTracker]: invalid base64 char in mappings: ${str[i]}`)
+    value += (digit & 31) << shift
+    if (digit & 32) {
+      shift += 5
+    } else {
+      const negative = value & 1
+      value >>>= 1
+      values.push(negative ? -value : value)
+      value = 0
+      shift = 0
+    }
+  }
+  return values
+}
+
+function decodeMappings(mappings) {
+  const lines = []
+  let sourceIndex = 0
+  let originalLine = 0
+  let originalColumn = 0
+  let nameIndex = 0
+  const rows = String(mappings || '').split(';')
+  for (const row of rows) {
+    const segments = []
+    let generatedColumn = 0
+    if (row) {
+      for (const seg of row.split(',')) {
+        if (!seg) continue
+        const v = decodeVlq(seg)
+        generatedColumn += v[0]
+        if (v.length >= 4) {
+          sourceIndex += v[1]
+          originalLine += v[2]
+          originalColumn += v[3]
+          if (v.length >= 5) nameIndex += v[4]
+          segments.push([generatedColumn, sourceIndex, originalLine, originalColumn, v.length >= 5 ? nameIndex : -1])
+        } else {
+          segments.push([generatedColumn, -1, -1, -1, -1])
+        }
+      }
+    }
+    segments.sort((a, b) => a[0] - b[0])
+    lines.push(segments)
+  }
+  return lines
+}
+
+function joinSourceRoot(root, source) {
+  if (!root) return source
+  if (/^[a-z]+:/i.test(source) || source.startsWith('/')) return source
+  return root.endsWith('/') ? root + source : `${root}/${source}`
+}
+
+/**
+ * 解析 source map（对象或 JSON 字符串），返回 { file, sources, sourcesContent, names, lines } 或 index map 结构
+ */
+export function parseSourceMap(input) {
+  const raw = typeof input === 'string' ? JSON.parse(input.replace(/^\)\]\}'[^\n]*\n/, '')) : input
+  if (!raw || raw.version !== 3) throw new Error('[FrontendTracker]: unsupported source map version')
+  if (Array.isArray(raw.sections)) {
+    return {
+      file: raw.file || null,
+      sections: raw.sections.map(section => ({
+        line: section.offset.line,
+        column: section.offset.column,
+        map: parseSourceMap(section.map)
+      }))
+    }
+  }
+  return {
+    file: raw.file || null,
+    sources: (raw.sources || []).map(s => joinSourceRoot(raw.sourceRoot, s)),
+    sourcesContent: raw.sourcesContent || [],
+    names: raw.names || [],
+    lines: decodeMappings(raw.mappings)
+  }
+}
+
+/**
+ * 生成位置 → 原始位置
+ * line 为 1 起始，column 为 0 起始（浏览器堆栈的列号是 1 起始，调用方需减 1）
+ * 返回 { source, line（1 起始）, column（0 起始）, name, sourceContent } 或 null
+ */
+export function originalPositionFor(map, line, column) {
+  if (!map || line == null) return null
+  if (map.sections) {
+    let section = null
+    for (const s of map.sections) {
+      if (s.line + 1 < line || (s.line + 1 === line && s.column <= column)) section = s
+      else break
+    }
+    if (!section) return null
+    const localLine = line - section.line
+    const localColumn = localLine === 1 ? column - section.column : column
+    return originalPositionFor(section.map, localLine, localColumn)
+  }
+  const segments = map.lines[line - 1]
+  if (!segments || !segments.length) return null
+  // 二分查找 generatedColumn <= column 的最后一段
+  let lo = 0
+  let hi = segments.length - 1
+  let found = -1
+  const col = column == null ? 0 : column
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1
+    if (segments[mid][0] <= col) {
+      found = mid
+      lo = mid + 1
+    } else {
+      hi = mid - 1
+    }
+  }
+  if (found === -1) return null
+  const seg = segments[found]
+  if (seg[1] < 0) return null
+  return {
+    source: map.sources[seg[1]] || null,
+    line: seg[2] + 1,
+    column: seg[3],
+    name: seg[4] >= 0 ? map.names[seg[4]] || null : null,
+    sourceContent: map.sourcesContent[seg[1]] || null
+  }
+}
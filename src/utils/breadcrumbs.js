@@ -0,0 +1,156 @@
+/**
+ * 面包屑：最近 N 条用户 / 应用行为的环形缓冲，错误上报时附带，用于还原崩溃前的操作路径
+ *
+ * 每条面包屑：{ ts, category, message, data }
+ *  category: 'navigation' | 'click' | 'event' | 'console' | 'network' | 'manual'
+ */
+
+const DEFAULT_MAX_BREADCRUMBS = 20
+const TEXT_LIMIT = 80
+
+export function createBreadcrumbs(options = {}) {
+  const max = Math.max(1, Number.isFinite(options.max) ? Number(options.max) : DEFAULT_MAX_BREADCRUMBS)
+  const buffer = new Array(max)
+  let next = 0
+  let size = 0
+
+  function add(crumb) {
+    if (!crumb || !crumb.category) return
+    buffer[next] = {
+      ts: crumb.ts || Date.now(),
+      category: crumb.category,
+      message: crumb.message != null ? String(crumb.message).slice(0, TEXT_LIMIT * 2) : '',
+      ...(crumb.data ? { data: crumb.data } : {})
+    }
+    next = (next + 1) % max
+    if (size < max) size++
+  }
+
+  // 按时间从旧到新返回
+  function getAll() {
+    const list = []
+    for (let i = 0; i < size; i++) {
+      list.push(buffer[(next - size + i + max) % max])
+    }
+    return list
+  }
+
+  function clear() {
+    buffer.fill(undefined)
+    next = 0
+    size = 0
+  }
+
+  return { add, getAll, clear, size: () => size }
+}
+
+/**
+ * 元素的简短选择器：最多 3 层 tag#id.class，遇到 id 即停止
+ */
+export function describeElement(el) {
+  const parts = []
+  let node = el
+  while (node && node.nodeType === 1 && parts.length < 3) {
+    let part = String(node.tagName || '').toLowerCase()
+    if (node.id) {
+      parts.unshift(`${part}#${node.id}`)
+      break
+    }
+    const cls = typeof node.className === 'string' ? node.className.trim().split(/\s+/).filter(Boolean).slice(0, 2) : []
+    if (cls.length) part += '.' + cls.join('.')
+    parts.unshift(part)
+    node = node.parentElement
+  }
+  return parts.join(' > ')
+}
+
+const FORM_FIELD_TAGS = ['INPUT', 'TEXTAREA', 'SELECT']
+
+function attr(el, name) {
+  return (el.getAttribute && el.getAttribute(name)) || ''
+}
+
+// 深度优先收集文本节点，凑够 limit 个字符即停止；不读 innerText（会强制布局），也不整体读取大容器的 textContent
+function boundedText(el, limit) {
+  let text = ''
+  const stack = [el]
+  while (stack.length && text.length < limit) {
+    const node = stack.pop()
+    if (node.nodeType === 3) {
+      text += node.nodeValue
+    } else if (node.nodeType === 1 && !FORM_FIELD_TAGS.includes(String(node.tagName || '').toUpperCase())) {
+      const children = node.childNodes || []
+      for (let i = children.length - 1; i >= 0; i--) stack.push(children[i])
+    }
+  }
+  return text.slice(0, limit)
+}
+
+/**
+ * 点击元素的描述文本
+ * 表单控件绝不读取 value（密码、手机号等用户输入不能进入面包屑），只取 aria-label / name / placeholder
+ */
+function elementText(el) {
+  if (!el) return ''
+  let text
+  if (FORM_FIELD_TAGS.includes(String(el.tagName || '').toUpperCase())) {
+    text = attr(el, 'aria-label') || attr(el, 'name') || attr(el, 'placeholder')
+  } else {
+    text = boundedText(el, TEXT_LIMIT * 2).replace(/\s+/g, ' ').trim() || attr(el, 'aria-label')
+  }
+  return String(text).replace(/\s+/g, ' ').trim().slice(0, TEXT_LIMIT)
+}
+
+function stringifyArg(arg) {
+  if (typeof arg === 'string') return arg
+  if (arg instanceof Error) return arg.message
+  try {
+    return JSON.stringify(arg)
+  } catch (e) {
+    return String(arg)
+  }
+}
+
+/**
+ * 安装浏览器端的自动面包屑：点击（捕获阶段）与 console.warn / console.error
+ * options: { click = true, console = true }
+ * 返回卸载函数
+ */
+export function instrumentBreadcrumbs(crumbs, options = {}) {
+  const cfg = { click: true, console: true, ...options }
+  const offs = []
+
+  if (cfg.click && typeof document !== 'undefined' && document.addEventListener) {
+    const onClick = (e) => {
+      try {
+        const el = e.target
+        if (!el || el.nodeType !== 1) return
+        crumbs.add({ category: 'click', message: describeElement(el), data: { text: elementText(el) } })
+      } catch (err) { /* 面包屑失败不影响宿主 */
+      }
+    }
+    document.addEventListener('click', onClick, true)
+    offs.push(() => document.removeEventListener('click', onClick, true))
+  }
+
+  if (cfg.console && typeof console !== 'undefined') {
+    ['warn', 'error'].forEach(level => {
+      const orig = console[level]
+      if (typeof orig !== 'function') return
+      const patched = function (...args) {
+        try {
+          crumbs.add({ category: 'console', message: args.map(stringifyArg).join(' '), data: { level } })
+        } catch (e) { /* ignore */
+        }
+        return orig.apply(this, args)
+      }
+      console[level] = patched
+      // 其它库在我们之后又包装了 console 时不强行还原
+      offs.push(() => {
+        if (console[level] === patched) console[level] = orig
+      })
+    })
+  }
+
+  return () => offs.forEach(fn => fn())
+}
@@ -0,0 +1,109 @@
+/**
+ * 声明式点击埋点：data-track-* 属性
+ *
+ * <button data-track-category="button" data-track-action="click" data-track-label="buy" data-track-sku="A01">
+ *
+ * - document 上一个捕获阶段的委托监听，点击时取最近的带 data-track-category / data-track-action 的祖先
+ * - category / action / label / value 对应 trackEvent 的同名参数（value 转为数字）
+ * - 其余 data-track-*（含 data-track-property，JSON 对象会被展开）合并为一个对象作为 property，
+ *   由 trackEvent 按原有规则序列化
+ */
+
+const FIELD_KEYS = ['category', 'action', 'label', 'value', 'property']
+
+// dataset 中 data-track-foo-bar 对应 trackFooBar → fooBar
+function stripPrefix(key, prefix) {
+  const rest = key.slice(prefix.length)
+  return rest.charAt(0).toLowerCase() + rest.slice(1)
+}
+
+// 属性前缀转为 dataset 前缀：data-track → track；data-foo-bar → fooBar
+export function toDatasetPrefix(attributePrefix = 'data-track') {
+  return String(attributePrefix).replace(/^data-/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+}
+
+// data-track-property：JSON 对象时返回对象，否则返回原字符串
+function parseProperty(raw) {
+  if (raw == null || raw === '') return null
+  try {
+    const parsed = JSON.parse(raw)
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed
+  } catch (e) { /* 非 JSON 时按字符串保留 */
+  }
+  return raw
+}
+
+/**
+ * 读取元素上的 data-track-* 属性，返回 trackEvent 所需参数
+ * @returns {{ category, action, label, property, value } | null}
+ */
+export function readTrackAttributes(el, datasetPrefix = 'track', defaultAction = 'click') {
+  if (!el || !el.dataset) return null
+  const fields = {}
+  const extra = {}
+  Object.keys(el.dataset).forEach(key => {
+    if (key.length <= datasetPrefix.length || !key.startsWith(datasetPrefix)) return
+    const name = stripPrefix(key, datasetPrefix)
+    if (FIELD_KEYS.includes(name)) fields[name] = el.dataset[key]
+    else extra[name] = el.dataset[key]
+  })
+  if (!fields.category && !fields.action) return null
+
+  const base = parseProperty(fields.property)
+  let property = ''
+  if (typeof base === 'string' && !Object.keys(extra).length) {
+    // 只有一个非 JSON 的 data-track-property 时原样传递，与 trackEvent 一致
+    property = base
+  } else {
+    const merged = { ...(typeof base === 'string' ? { property: base } : base), ...extra }
+    if (Object.keys(merged).length) property = merged
+  }
+  const value = fields.value != null && fields.value !== '' && !isNaN(Number(fields.value)) ? Number(fields.value) : undefined
+  return {
+    category: fields.category || '',
+    action: fields.action || defaultAction,
+    label: fields.label || '',
+    property,
+    value
+  }
+}
+
+/**
+ * 开启委托监听
+ * options:
+ *  - onTrack({ category, action, label, property, value }, element)
+ *  - attributePrefix: 属性前缀，默认 'data-track'
+ *  - root: 监听节点，默认 document
+ *  - logger
+ * 返回取消函数
+ */
+export function enableDeclarativeTracking(options = {}) {
+  const cfg = {
+    onTrack: null,
+    attributePrefix: 'data-track',
+    root: typeof document !== 'undefined' ? document : null,
+    logger: null,
+    ...options
+  }
+  if (!cfg.root || typeof cfg.root.addEventListener !== 'function' || typeof cfg.onTrack !== 'function') {
+    return () => {}
+  }
+
+  const datasetPrefix = toDatasetPrefix(cfg.attributePrefix)
+  const selector = `[${cfg.attributePrefix}-category],[${cfg.attributePrefix}-action]`
+
+  const handler = (e) => {
+    try {
+      const target = e.target
+      const el = target && typeof target.closest === 'function' ? target.closest(selector) : null
+      if (!el) return
+      const params = readTrackAttributes(el, datasetPrefix)
+      if (params) cfg.onTrack(params, el)
+    } catch (err) {
+      cfg.logger?.warn('declarative tracking failed', err)
+    }
+  }
+
+  cfg.root.addEventListener('click', handler, true)
+  return () => cfg.root.removeEventListener('click', handler, true)
+}
@@ -0,0 +1,109 @@
+/**
+ * 页面停留时长：按路由统计可见时间（标签页隐藏期间不计）
+ *
+ * - start(url)：开始统计某页面
+ * - change(url)：路由变化，上报上一页并开始统计新页；与当前页路由部分相同（normalizePath）时忽略
+ * - 页面卸载（pagehide / beforeunload）时上报当前页；从 bfcache 恢复时重新开始
+ *
+ * onReport({ pageUrl, dwellTime, hiddenTime, startTime, endTime, reason: 'route_change' | 'unload' | 'stop' })
+ */
+import { normalizePath } from './routerListener'
+
+function isHidden() {
+  return typeof document !== 'undefined' && document.visibilityState === 'hidden'
+}
+
+export function createDwellTimer(options = {}) {
+  const cfg = { onReport: null, logger: null, minDwellTime: 0, ...options }
+  let page = null // { url, key, startTime, visibleSince, visibleTotal, hiddenSince, hiddenTotal }
+  let offs = []
+
+  function begin(url) {
+    const now = Date.now()
+    const hidden = isHidden()
+    page = {
+      url,
+      key: normalizePath(url),
+      startTime: now,
+      visibleSince: hidden ? null : now,
+      visibleTotal: 0,
+      hiddenSince: hidden ? now : null,
+      hiddenTotal: 0
+    }
+  }
+
+  function end(reason) {
+    if (!page) return
+    const now = Date.now()
+    const visible = page.visibleTotal + (page.visibleSince != null ? now - page.visibleSince : 0)
+    const hidden = page.hiddenTotal + (page.hiddenSince != null ? now - page.hiddenSince : 0)
+    const data = { pageUrl: page.url, dwellTime: visible, hiddenTime: hidden, startTime: page.startTime, endTime: now, reason }
+    page = null
+    if (visible < cfg.minDwellTime) return
+    try {
+      cfg.onReport?.(data)
+    } catch (e) {
+      cfg.logger?.warn('dwell time report failed', e)
+    }
+  }
+
+  function onVisibilityChange() {
+    if (!page) return
+    const now = Date.now()
+    if (isHidden()) {
+      if (page.visibleSince != null) {
+        page.visibleTotal += now - page.visibleSince
+        page.visibleSince = null
+      }
+      if (page.hiddenSince == null) page.hiddenSince = now
+    } else {
+      if (page.hiddenSince != null) {
+        page.hiddenTotal += now - page.hiddenSince
+        page.hiddenSince = null
+      }
+      if (page.visibleSince == null) page.visibleSince = now
+    }
+  }
+
+  // 卸载时的 url 保留下来，bfcache 恢复后继续统计同一页
+  let lastUrl = null
+  function onPageHide() {
+    if (page) lastUrl = page.url
+    end('unload')
+  }
+  function onPageShow(e) {
+    if (e && e.persisted && !page && lastUrl) begin(lastUrl)
+  }
+
+  function listen(target, event, handler) {
+    target.addEventListener(event, handler)
+    offs.push(() => target.removeEventListener(event, handler))
+  }
+
+  function start(url) {
+    if (page) return
+    if (!offs.length && typeof window !== 'undefined' && typeof document !== 'undefined') {
+      listen(document, 'visibilitychange', onVisibilityChange)
+      listen(window, 'pagehide', onPageHide)
+      // 部分浏览器不可靠地触发 pagehide，beforeunload 兜底（end 幂等）
+      listen(window, 'beforeunload', onPageHide)
+      listen(window, 'pageshow', onPageShow)
+    }
+    begin(url)
+  }
+
+  function change(url) {
+    if (page && normalizePath(url) === page.key) return
+    end('route_change')
+    begin(url)
+  }
+
+  function stop() {
+    end('stop')
+    offs.forEach(fn => fn())
+    offs = []
+    lastUrl = null
+  }
+
+  return { start, change, stop }
+}
@@ -0,0 +1,111 @@
+/**
+ * 错误指纹：用于去重与后端分组
+ *
+ * 指纹 = hash(type | 规范化 message | 前 N 个应用内帧)
+ *  - message 中的 URL、UUID、十六进制哈希、数字替换为占位符，动态 ID 不同的同类错误得到相同指纹
+ *  - 帧取 function + 规范化文件名（去掉 origin / query，文件名中的构建哈希替换为 <hash>），不含行列号
+ *  - 压缩代码中的函数名（n、r、Oe 等）每次构建都会变化：functionNames 为 'auto'（默认）时，
+ *    压缩产物（.min.js / 带构建哈希的文件）中的帧与 2 个字符以内的函数名不计入指纹，只保留文件名
+ *  - 应用内帧：排除 SDK 帧、浏览器扩展帧与无文件的帧；都没有时退化为全部帧
+ */
+
+const URL_RE = /\b(?:https?|wss?|file|blob|chrome-extension|moz-extension):\/\/[^\s'"`)<>]+/gi
+const UUID_RE = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi
+// 含数字的 8 位以上十六进制串（避免误伤 'deadbeef' 以外的普通单词）
+const HEX_RE = /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi
+const NUMBER_RE = /\b\d+(?:\.\d+)?\b/g
+
+export function normalizeMessage(message) {
+  if (!message) return ''
+  return String(message)
+    .replace(URL_RE, '<url>')
+    .replace(UUID_RE, '<uuid>')
+    .replace(HEX_RE, '<hex>')
+    .replace(NUMBER_RE, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 300)
+}
+
+/**
+ * 规范化文件路径：https://cdn.com/assets/index.3f2a1c9b.js?v=2 → /assets/index.<hash>.js
+ */
+export function normalizeFile(file) {
+  if (!file) return ''
+  let f = String(file).split(/[?#]/)[0]
+  f = f.replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '')
+  return f
+    .split('/')
+    .map(seg => seg
+      // index.3f2a1c9b.js / chunk-5e8a1b2c.js / main_a1b2c3d4.js
+      .replace(/([.\-_~])(?=[0-9a-z]*\d)[0-9a-z]{6,}(?=(?:\.min)?\.(?:m?js|css)$)/i, '$1<hash>')
+      // 纯哈希文件名 3f2a1c9b7d.js
+      .replace(/^(?=[0-9a-f]*\d)[0-9a-f]{8,}(?=(?:\.min)?\.(?:m?js|css)$)/i, '<hash>'))
+    .join('/')
+}
+
+// 两个不同种子的 FNV-1a 32 位拼成 16 位十六进制
+function fnv1a(str, seed) {
+  let h = seed >>> 0
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i)
+    h = Math.imul(h, 0x01000193) >>> 0
+  }
+  return h.toString(16).padStart(8, '0')
+}
+
+export function hashString(str) {
+  const s = String(str)
+  return fnv1a(s, 0x811c9dc5) + fnv1a(s, 0x01000193 ^ 0x5bd1e995)
+}
+
+// 文件是否为压缩 / 带构建哈希的产物（其中的函数名不可跨构建比较）
+function isBundledFile(file) {
+  return /\.min\.(?:m?js|css)$/i.test(file) || file.indexOf('<hash>') !== -1
+}
+
+function frameKey(frame, functionNames) {
+  const file = normalizeFile(frame.file)
+  const name = frame.function || ''
+  let keepName = !!name && functionNames !== false
+  if (keepName && functionNames !== true) keepName = name.length > 2 && !isBundledFile(file)
+  return `${keepName ? name : '?'}@${file}`
+}
+
+/**
+ * 选出用于指纹的前 N 个应用内帧
+ */
+export function inAppFrames(frames, maxFrames = 3) {
+  if (!Array.isArray(frames) || !frames.length) return []
+  const app = frames.filter(f => f && f.file && !f.sdk && !f.extension)
+  return (app.length ? app : frames.filter(Boolean)).slice(0, maxFrames)
+}
+
+/**
+ * 计算默认指纹
+ * input: { type, message, frames }
+ * options: { maxFrames = 3, functionNames = 'auto' | true | false }
+ */
+export function computeFingerprint(input = {}, options = {}) {
+  const maxFrames = options.maxFrames > 0 ? options.maxFrames : 3
+  const functionNames = options.functionNames == null ? 'auto' : options.functionNames
+  const frames = inAppFrames(input.frames, maxFrames).map(f => frameKey(f, functionNames))
+  const parts = [input.type || 'error', normalizeMessage(input.message), ...frames]
+  return hashString(parts.join('|'))
+}
+
+/**
+ * 应用自定义指纹钩子：hook(err, { ...info, defaultFingerprint })
+ * 返回数组时拼接后哈希，返回非空字符串时直接使用，返回空值或抛错时使用默认指纹
+ */
+export function resolveFingerprint(hook, err, info, defaultFingerprint, onError) {
+  if (typeof hook !== 'function') return defaultFingerprint
+  try {
+    const custom = hook(err, { ...info, defaultFingerprint })
+    if (Array.isArray(custom) && custom.length) return hashString(custom.join('|'))
+    if (custom != null && custom !== '') return String(custom)
+  } catch (e) {
+    if (onError) onError(e)
+  }
+  return defaultFingerprint
+}
@@ -0,0 +1,167 @@
+/**
+ * 元素曝光采集（IntersectionObserver）
+ *
+ * 元素可见比例 >= threshold 且持续 >= minDuration 毫秒时上报一次曝光；
+ * 同一元素在同一个页面浏览（page view）内只上报一次，reset() 开始新的页面浏览
+ */
+import { readTrackAttributes, toDatasetPrefix } from './declarativeTracking'
+
+const DEFAULT_IMPRESSION_OPTIONS = {
+  threshold: 0.5,
+  minDuration: 1000,
+  category: 'impression',
+  action: 'expose',
+  label: '',
+  property: '',
+  value: undefined,
+  // (el) => ({ category, action, label, property, value })，覆盖以上默认值；默认读取元素上以 attributePrefix 开头的属性
+  getParams: null,
+  // 未传 getParams 时读取的属性前缀，同声明式埋点的 attributePrefix
+  attributePrefix: 'data-track'
+}
+
+function resolveTargets(target) {
+  if (!target) return []
+  if (typeof target === 'string') {
+    if (typeof document === 'undefined') return []
+    return Array.from(document.querySelectorAll(target))
+  }
+  if (typeof target.length === 'number' && typeof target !== 'function') return Array.from(target)
+  return [target]
+}
+
+/**
+ * options:
+ *  - onImpression({ category, action, label, property, value }, element)
+ *  - logger
+ * 返回 { observe, reset, disconnect, size }
+ */
+export function createImpressionTracker(options = {}) {
+  const cfg = { onImpression: null, logger: null, ...options }
+  // element -> { opts, timer, reported }
+  const entries = new Map()
+  // threshold -> IntersectionObserver（相同阈值共享一个 observer）
+  const observers = new Map()
+
+  function clearTimer(state) {
+    if (state.timer) {
+      clearTimeout(state.timer)
+      state.timer = null
+    }
+  }
+
+  function report(el) {
+    const state = entries.get(el)
+    if (!state || state.reported) return
+    state.reported = true
+    clearTimer(state)
+    const o = state.opts
+    let params = null
+    try {
+      params = typeof o.getParams === 'function' ? o.getParams(el) : readTrackAttributes(el, toDatasetPrefix(o.attributePrefix), o.action)
+    } catch (e) {
+      cfg.logger?.warn('impression getParams failed', e)
+    }
+    // 只用非空字段覆盖 observe 时传入的配置
+    const merged = { ...o }
+    Object.keys(params || {}).forEach(key => {
+      if (params[key] !== '' && params[key] != null) merged[key] = params[key]
+    })
+    const { category, action, label, property, value } = merged
+    try {
+      cfg.onImpression?.({ category, action, label, property, value }, el)
+    } catch (e) {
+      cfg.logger?.warn('impression report failed', e)
+    }
+  }
+
+  function handleEntries(list) {
+    list.forEach(entry => {
+      const state = entries.get(entry.target)
+      if (!state || state.reported) return
+      const visible = entry.isIntersecting && entry.intersectionRatio >= state.opts.threshold
+      if (!visible) {
+        clearTimer(state)
+        return
+      }
+      if (state.timer) return
+      if (state.opts.minDuration <= 0) {
+        report(entry.target)
+        return
+      }
+      state.timer = setTimeout(() => {
+        state.timer = null
+        report(entry.target)
+      }, state.opts.minDuration)
+    })
+  }
+
+  function getObserver(threshold) {
+    if (typeof IntersectionObserver === 'undefined') return null
+    if (!observers.has(threshold)) {
+      observers.set(threshold, new IntersectionObserver(handleEntries, { threshold: [0, threshold] }))
+    }
+    return observers.get(threshold)
+  }
+
+  function unobserve(el) {
+    const state = entries.get(el)
+    if (!state) return
+    clearTimer(state)
+    getObserver(state.opts.threshold)?.unobserve(el)
+    entries.delete(el)
+  }
+
+  /**
+   * 开始观察元素（选择器 / 元素 / 元素列表），已观察的元素会更新配置
+   * 返回取消观察这些元素的函数
+   */
+  function observe(target, observeOptions = {}) {
+    const opts = { ...DEFAULT_IMPRESSION_OPTIONS, ...observeOptions }
+    const elements = resolveTargets(target)
+    elements.forEach(el => {
+      if (entries.has(el)) unobserve(el)
+      entries.set(el, { opts, timer: null, reported: false })
+      const io = getObserver(opts.threshold)
+      // 不支持 IntersectionObserver 的环境退化为立即曝光
+      if (io) io.observe(el)
+      else report(el)
+    })
+    return () => elements.forEach(unobserve)
+  }
+
+  /**
+   * 新的页面浏览：清空去重记录；已脱离文档的元素不再观察，仍在页面上的元素重新计时
+   */
+  function reset() {
+    Array.from(entries.keys()).forEach(el => {
+      const state = entries.get(el)
+      if (el.isConnected === false) {
+        unobserve(el)
+        return
+      }
+      clearTimer(state)
+      state.reported = false
+      // 重新 observe 以触发一次初始回调，按当前可见性重新计时
+      const io = getObserver(state.opts.threshold)
+      if (io) {
+        io.unobserve(el)
+        io.observe(el)
+      }
+    })
+  }
+
+  function disconnect() {
+    entries.forEach(clearTimer)
+    entries.clear()
+    observers.forEach(io => io.disconnect())
+    observers.clear()
+  }
+
+  return {
+    observe,
+    reset,
+    disconnect,
+    size: () => entries.size
+  }
+}
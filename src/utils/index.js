@@ -3,7 +3,10 @@ import { v4 as uuidv4 } from 'uuid'
 // 生成并保持全局 requestID
 const REQUEST_ID_KEY = 'REQUEST_ID'
 
+// 浏览器中按会话保持（sessionStorage）；无 sessionStorage（SSR / Node）时每次调用生成新 id，
+// 不做进程级缓存（否则同一进程内所有请求、所有用户共用一个 id），由调用方（如 tracker 实例）自行保存
 export function getRequestId() {
+  if (typeof sessionStorage === 'undefined') return uuidv4()
   let id = sessionStorage.getItem(REQUEST_ID_KEY)
   if (!id) {
     id = uuidv4()
@@ -12,6 +15,11 @@ export function getRequestId() {
   return id
 }
 
+// 是否处于浏览器环境（SSR / Node 下为 false）
+export function isBrowser() {
+  return typeof window !== 'undefined' && typeof document !== 'undefined'
+}
+
 export function transformSnowplowPayload(raw) {
   // raw 可能是 array 或 object
   const event = Array.isArray(raw) ? raw[0] : raw;
@@ -22,7 +30,6 @@ export function transformSnowplowPayload(raw) {
     const data = event.unstruct_event.data || {};
     // schema like: iglu:com.yourcompany/js_error/jsonschema/1-0-0
     const parts = schema.split(':').pop().split('/');
-    const vendor = parts[0]; // com.yourcompany
     const name = parts[1];   // js_error
     return {
       requestId: getRequestId(),
@@ -0,0 +1,238 @@
+/**
+ * 页面内调试面板（仅 debug 模式可用）
+ *
+ * - record(entry) 持续收集事件记录（环形缓冲，默认保留最近 500 条），面板未打开时也收集
+ * - open() 在页面右下角挂载一个浮层，实时展示记录，支持按来源/状态过滤与关键字搜索
+ * - 记录来源：
+ *   - tracker：FrontendTracker._send 管道中的每个事件及其最终状态
+ *     （sent / failed / dropped / sampled_out / invalid / buffered / denied / queued）
+ *   - transport：useCustomFetch 中 transformSnowplowPayload 的解析结果与 customFetch 响应状态
+ *     （status 为 ok / error，httpStatus 为响应码）
+ */
+
+const DEFAULT_MAX_RECORDS = 500
+const PANEL_ID = '__ft_inspector__'
+
+const STATUS_COLORS = {
+  sent: '#52c41a',
+  ok: '#52c41a',
+  failed: '#ff4d4f',
+  error: '#ff4d4f',
+  invalid: '#fa8c16',
+  dropped: '#8c8c8c',
+  sampled_out: '#8c8c8c',
+  denied: '#8c8c8c',
+  buffered: '#1677ff',
+  queued: '#1677ff'
+}
+
+function safeStringify(v, space) {
+  try {
+    return JSON.stringify(v, null, space)
+  } catch (e) {
+    return String(v)
+  }
+}
+
+/**
+ * @param {object} options
+ *  - maxRecords: 保留的最大记录数，默认 500
+ *  - title: 面板标题
+ */
+export function createInspector(options = {}) {
+  const maxRecords = Number.isFinite(options.maxRecords) && options.maxRecords > 0 ? options.maxRecords : DEFAULT_MAX_RECORDS
+  const title = options.title || 'FrontendTracker'
+
+  const records = []
+  let seq = 0
+  let root = null
+  let listEl = null
+  let countEl = null
+  let renderScheduled = false
+  // 已渲染的行按记录 id 复用，重新渲染时保留行的展开状态
+  const rows = new Map()
+  const filters = { source: '', status: '', keyword: '' }
+
+  function record(entry) {
+    records.push({ id: ++seq, ts: Date.now(), ...entry })
+    if (records.length > maxRecords) records.shift()
+    scheduleRender()
+  }
+
+  function clear() {
+    records.length = 0
+    scheduleRender()
+  }
+
+  function matches(r) {
+    if (filters.source && r.source !== filters.source) return false
+    if (filters.status && String(r.status) !== filters.status) return false
+    if (filters.keyword) {
+      const text = `${r.type || ''} ${r.schema || ''} ${safeStringify(r.payload)} ${safeStringify(r.transformed)}`.toLowerCase()
+      if (!text.includes(filters.keyword.toLowerCase())) return false
+    }
+    return true
+  }
+
+  // 多条记录在同一帧内合并渲染，避免高频事件拖慢页面
+  function scheduleRender() {
+    if (!root || renderScheduled) return
+    renderScheduled = true
+    const raf = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn) => setTimeout(fn, 16)
+    raf(() => {
+      renderScheduled = false
+      render()
+    })
+  }
+
+  function render() {
+    if (!root || !listEl) return
+    const visible = records.filter(matches)
+    countEl.textContent = `${visible.length}/${records.length}`
+    // 被过滤的行移出列表（保留以便取消过滤后恢复），被淘汰或清空的记录同时丢弃其行
+    const kept = new Set(records.map(r => r.id))
+    const shown = new Set(visible.map(r => r.id))
+    rows.forEach((row, id) => {
+      if (!shown.has(id) && row.parentNode) row.parentNode.removeChild(row)
+      if (!kept.has(id)) rows.delete(id)
+    })
+    // 新记录在上：按顺序把行就位，已在正确位置的行不动
+    let cursor = listEl.firstChild
+    for (let i = visible.length - 1; i >= 0; i--) {
+      const r = visible[i]
+      let row = rows.get(r.id)
+      if (!row) {
+        row = renderRow(r)
+        rows.set(r.id, row)
+      }
+      if (row === cursor) {
+        cursor = cursor.nextSibling
+      } else {
+        listEl.insertBefore(row, cursor)
+      }
+    }
+  }
+
+  function renderRow(r) {
+    const row = document.createElement('details')
+    row.style.cssText = 'border-bottom:1px solid #303030;padding:4px 6px;'
+    const summary = document.createElement('summary')
+    summary.style.cssText = 'cursor:pointer;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;'
+    const time = new Date(r.ts).toLocaleTimeString()
+    const color = STATUS_COLORS[r.status] || '#d9d9d9'
+    summary.appendChild(text(`${time} `, '#8c8c8c'))
+    summary.appendChild(text(`[${r.source}] `, '#d9d9d9'))
+    summary.appendChild(text(`${r.type || ''} `, '#fff'))
+    summary.appendChild(text(`${r.status != null ? r.status : ''} `, color))
+    if (r.httpStatus != null) summary.appendChild(text(`HTTP ${r.httpStatus} `, color))
+    if (r.schema) summary.appendChild(text(r.schema, '#8c8c8c'))
+    row.appendChild(summary)
+
+    const pre = document.createElement('pre')
+    pre.style.cssText = 'margin:4px 0 0;white-space:pre-wrap;word-break:break-all;color:#d9d9d9;'
+    const detail = {}
+    if (r.payload !== undefined) detail.payload = r.payload
+    if (r.transformed !== undefined) detail.transformed = r.transformed
+    if (r.reason !== undefined) detail.reason = r.reason
+    if (r.url !== undefined) detail.url = r.url
+    if (r.error !== undefined) detail.error = r.error
+    pre.textContent = safeStringify(detail, 2)
+    row.appendChild(pre)
+    return row
+  }
+
+  function text(str, color) {
+    const span = document.createElement('span')
+    span.style.color = color
+    span.textContent = str
+    return span
+  }
+
+  function select(optionsList, key) {
+    const el = document.createElement('select')
+    el.style.cssText = 'background:#141414;color:#fff;border:1px solid #434343;margin-right:4px;'
+    optionsList.forEach(([value, label]) => {
+      const opt = document.createElement('option')
+      opt.value = value
+      opt.textContent = label
+      el.appendChild(opt)
+    })
+    el.addEventListener('change', () => {
+      filters[key] = el.value
+      render()
+    })
+    return el
+  }
+
+  function open() {
+    if (typeof document === 'undefined' || !document.body) return false
+    if (root) return true
+    root = document.createElement('div')
+    root.id = PANEL_ID
+    root.style.cssText = [
+      'position:fixed', 'right:12px', 'bottom:12px', 'width:480px', 'height:360px', 'z-index:2147483647',
+      'display:flex', 'flex-direction:column', 'background:#1f1f1f', 'color:#fff', 'font:12px/1.5 monospace',
+      'border:1px solid #434343', 'border-radius:6px', 'box-shadow:0 4px 16px rgba(0,0,0,.4)'
+    ].join(';')
+
+    const header = document.createElement('div')
+    header.style.cssText = 'display:flex;align-items:center;padding:6px;border-bottom:1px solid #434343;gap:4px;'
+    const titleEl = document.createElement('strong')
+    titleEl.textContent = title
+    titleEl.style.marginRight = 'auto'
+    countEl = document.createElement('span')
+    countEl.style.color = '#8c8c8c'
+
+    const clearBtn = document.createElement('button')
+    clearBtn.textContent = 'clear'
+    clearBtn.addEventListener('click', clear)
+    const closeBtn = document.createElement('button')
+    closeBtn.textContent = '×'
+    closeBtn.addEventListener('click', close)
+    header.append(titleEl, countEl, clearBtn, closeBtn)
+
+    const toolbar = document.createElement('div')
+    toolbar.style.cssText = 'display:flex;padding:6px;border-bottom:1px solid #434343;'
+    const search = document.createElement('input')
+    search.placeholder = 'search type / schema / payload'
+    search.style.cssText = 'flex:1;background:#141414;color:#fff;border:1px solid #434343;'
+    search.addEventListener('input', () => {
+      filters.keyword = search.value.trim()
+      render()
+    })
+    toolbar.append(
+      select([['', 'all sources'], ['tracker', 'tracker'], ['transport', 'transport']], 'source'),
+      select([['', 'all status'], ...Object.keys(STATUS_COLORS).map(s => [s, s])], 'status'),
+      search
+    )
+
+    listEl = document.createElement('div')
+    listEl.style.cssText = 'flex:1;overflow:auto;'
+
+    root.append(header, toolbar, listEl)
+    document.body.appendChild(root)
+    render()
+    return true
+  }
+
+  function close() {
+    if (root && root.parentNode) root.parentNode.removeChild(root)
+    root = null
+    listEl = null
+    countEl = null
+    rows.clear()
+  }
+
+  function isOpen() {
+    return !!root
+  }
+
+  return {
+    record,
+    clear,
+    open,
+    close,
+    isOpen,
+    getRecords: () => records.slice()
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * 轻量 JSON Schema 校验（draft-04 ~ draft-07 的常用子集，不引入额外依赖）
+ *
+ * 支持关键字：type、enum、const、required、properties、additionalProperties、
+ * minProperties/maxProperties、items、minItems/maxItems、minLength/maxLength、pattern、
+ * minimum/maximum、exclusiveMinimum/exclusiveMaximum（布尔与数值两种写法）、anyOf/oneOf/allOf
+ * 未知关键字（format、$ref 等）忽略，按通过处理
+ *
+ * @param {object} schema
+ * @param {any} data
+ * @returns {string[]} 错误列表，空数组表示通过；每条形如 "$.user.id: expected string"
+ */
+export function validateJsonSchema(schema, data) {
+  const errors = []
+  validateNode(schema, data, '$', errors)
+  return errors
+}
+
+// Iglu URI：iglu:vendor/name/format/model-revision-addition
+const IGLU_URI_RE = /^iglu:[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+\/\d+-\d+-\d+$/
+
+export function isIgluUri(uri) {
+  return typeof uri === 'string' && IGLU_URI_RE.test(uri)
+}
+
+function typeOf(v) {
+  if (v === null) return 'null'
+  if (Array.isArray(v)) return 'array'
+  return typeof v
+}
+
+function matchesType(type, v) {
+  const t = typeOf(v)
+  if (type === 'integer') return t === 'number' && Number.isInteger(v)
+  if (type === 'number') return t === 'number' && Number.isFinite(v)
+  return t === type
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true
+  try {
+    return JSON.stringify(a) === JSON.stringify(b)
+  } catch (e) {
+    return false
+  }
+}
+
+function validateNode(schema, v, path, errors) {
+  if (!schema || typeof schema !== 'object') return
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(t => matchesType(t, v))) {
+      errors.push(`${path}: expected ${types.join('|')}, got ${typeOf(v)}`)
+      // 类型不符时，后续关键字大多无意义
+      return
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => deepEqual(e, v))) {
+    errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`)
+  }
+  if (schema.const !== undefined && !deepEqual(schema.const, v)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`)
+  }
+
+  const t = typeOf(v)
+
+  if (t === 'string') {
+    if (Number.isFinite(schema.minLength) && v.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`)
+    if (Number.isFinite(schema.maxLength) && v.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`)
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern).test(v)) errors.push(`${path}: does not match ${schema.pattern}`)
+      } catch (e) { /* 非法正则忽略 */
+      }
+    }
+  }
+
+  if (t === 'number') {
+    if (Number.isFinite(schema.minimum)) {
+      if (schema.exclusiveMinimum === true ? v <= schema.minimum : v < schema.minimum) errors.push(`${path}: below minimum ${schema.minimum}`)
+    }
+    if (Number.isFinite(schema.maximum)) {
+      if (schema.exclusiveMaximum === true ? v >= schema.maximum : v > schema.maximum) errors.push(`${path}: above maximum ${schema.maximum}`)
+    }
+    if (Number.isFinite(schema.exclusiveMinimum) && v <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`)
+    if (Number.isFinite(schema.exclusiveMaximum) && v >= schema.exclusiveMaximum) errors.push(`${path}: must be < ${schema.exclusiveMaximum}`)
+  }
+
+  if (t === 'object') {
+    const keys = Object.keys(v)
+    if (Array.isArray(schema.required)) {
+      schema.required.forEach(k => {
+        if (v[k] === undefined) errors.push(`${path}.${k}: is required`)
+      })
+    }
+    if (Number.isFinite(schema.minProperties) && keys.length < schema.minProperties) errors.push(`${path}: fewer than ${schema.minProperties} properties`)
+    if (Number.isFinite(schema.maxProperties) && keys.length > schema.maxProperties) errors.push(`${path}: more than ${schema.maxProperties} properties`)
+    const props = schema.properties || {}
+    keys.forEach(k => {
+      if (props[k]) {
+        validateNode(props[k], v[k], `${path}.${k}`, errors)
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${k}: additional property not allowed`)
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, v[k], `${path}.${k}`, errors)
+      }
+    })
+  }
+
+  if (t === 'array') {
+    if (Number.isFinite(schema.minItems) && v.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`)
+    if (Number.isFinite(schema.maxItems) && v.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`)
+    if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+      v.forEach((item, i) => validateNode(schema.items, item, `${path}[${i}]`, errors))
+    }
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    schema.allOf.forEach(s => validateNode(s, v, path, errors))
+  }
+  if (Array.isArray(schema.anyOf)) {
+    const ok = schema.anyOf.some(s => validateJsonSchema(s, v).length === 0)
+    if (!ok) errors.push(`${path}: does not match anyOf`)
+  }
+  if (Array.isArray(schema.oneOf)) {
+    const n = schema.oneOf.filter(s => validateJsonSchema(s, v).length === 0).length
+    if (n !== 1) errors.push(`${path}: must match exactly one of oneOf (matched ${n})`)
+  }
+}
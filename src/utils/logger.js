@@ -0,0 +1,74 @@
+/**
+ * 统一日志
+ *
+ * - 级别：silent < error < warn < info < debug，低于当前级别的日志直接丢弃
+ * - sink：可插拔输出，默认输出到 console；自定义 sink 接收结构化记录 { level, namespace, args, ts }
+ * - namespace：按模块区分（tracker / router / errors / transport / transform ...），child(ns) 派生子 logger
+ *   同一根 logger 派生的所有子 logger 共享级别与 sink，setLevel / setSink 对全部生效
+ *
+ * const logger = createLogger({ level: 'warn' })
+ * logger.child('router').warn('router.afterEach failed', e)
+ */
+
+export const LOG_LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 }
+
+const PREFIX = 'FrontendTracker'
+
+function normalizeLevel(level, fallback) {
+  return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : fallback
+}
+
+// 默认 sink：输出到 console（环境没有 console 或 console 方法抛错时静默）
+function consoleSink({ level, namespace, args }) {
+  if (typeof console === 'undefined') return
+  const method = typeof console[level] === 'function' ? level : 'log'
+  try {
+    console[method](`[${PREFIX}:${namespace}]`, ...args)
+  } catch (e) { /* 忽略控制台异常 */
+  }
+}
+
+/**
+ * @param {object} options
+ *  - level: 'silent' | 'error' | 'warn' | 'info' | 'debug'，默认 'error'
+ *  - sink: ({ level, namespace, args, ts }) => void，默认输出到 console
+ *  - namespace: 根 namespace，默认 'tracker'
+ */
+export function createLogger(options = {}) {
+  const shared = {
+    level: normalizeLevel(options.level, 'error'),
+    sink: typeof options.sink === 'function' ? options.sink : consoleSink
+  }
+  const children = new Map()
+
+  function make(namespace) {
+    function log(level, args) {
+      if (LOG_LEVELS[level] > LOG_LEVELS[shared.level]) return
+      try {
+        shared.sink({ level, namespace, args, ts: Date.now() })
+      } catch (e) { /* sink 自身异常不能影响业务 */
+      }
+    }
+
+    return {
+      namespace,
+      error: (...args) => log('error', args),
+      warn: (...args) => log('warn', args),
+      info: (...args) => log('info', args),
+      debug: (...args) => log('debug', args),
+      isEnabled: (level) => LOG_LEVELS[level] <= LOG_LEVELS[shared.level],
+      child: (ns) => {
+        if (!children.has(ns)) children.set(ns, make(ns))
+        return children.get(ns)
+      },
+      setLevel: (level) => {
+        shared.level = normalizeLevel(level, shared.level)
+      },
+      setSink: (sink) => {
+        shared.sink = typeof sink === 'function' ? sink : consoleSink
+      }
+    }
+  }
+
+  return make(options.namespace || 'tracker')
+}
@@ -0,0 +1,40 @@
+/**
+ * 事件中间件管道
+ *
+ * 中间件签名：(event, tracker) => event | null | false | undefined
+ *  - 返回新的 event 对象：替换后继续传递给下一个中间件
+ *  - 返回 undefined：视为原样放行（允许直接修改 event）
+ *  - 返回 null / false：丢弃该事件，后续中间件与上报都不再执行
+ *
+ * event 结构（按 type 区分）：
+ *  - { type: 'page_view', pageUrl, referrer }
+ *  - { type: 'struct', category, action, label, property, value }
+ *  - { type: 'self_describing', schema, data }
+ *  - { type: 'error', schema, data } —— 来自 useErrorHandler，最终按自描述事件上报
+ * 存在 identify / setGlobalProperties 设置的全局属性时，event 额外带有 globals 字段（{ userId, traits, properties }）
+ * 事件被采样（采样率 < 1）时，event 额外带有 sampleRate 字段
+ * 本地 schema 校验（在中间件之后执行）失败且 schemaValidation 为 'tag' 时，最终上报的 context 带有 schemaInvalid 标记
+ *
+ * @param {Function[]} middlewares 按注册顺序执行
+ * @param {object} event
+ * @param {object} [ctx] 透传给中间件的第二个参数（通常是 tracker 实例）
+ * @param {(msg: string, err: any) => void} [onError] 中间件抛错时的回调；抛错的中间件会被跳过，事件继续传递
+ * @returns {object|null} 处理后的 event，null 表示被丢弃
+ */
+export function runMiddlewares(middlewares, event, ctx, onError) {
+  let current = event
+  for (let i = 0; i < middlewares.length; i++) {
+    const fn = middlewares[i]
+    let result
+    try {
+      result = fn(current, ctx)
+    } catch (e) {
+      // 单个中间件异常不应影响上报，跳过它
+      if (typeof onError === 'function') onError('middleware threw, skipped', e)
+      continue
+    }
+    if (result === null || result === false) return null
+    if (result && typeof result === 'object') current = result
+  }
+  return current
+}
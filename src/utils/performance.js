@@ -0,0 +1,303 @@
+/**
+ * 性能采集：Core Web Vitals、Navigation Timing、资源汇总、软导航（路由切换）耗时
+ *
+ * 通过 onReport(data) 输出，data.type 取值：
+ *  - 'web_vital'：{ name: 'LCP' | 'CLS' | 'INP' | 'FCP' | 'TTFB', value, rating, pageUrl }
+ *    FCP / TTFB 取到即上报；LCP / CLS / INP 在页面隐藏（切后台、关闭）时上报最终值，值有变化时再次上报
+ *  - 'navigation'：首屏 Navigation Timing 各阶段耗时（load 之后）
+ *  - 'resource_summary'：load 之后的资源数量、传输体积、按 initiatorType 分组与最慢的若干资源
+ *  - 'route_change'：软导航耗时：路由变化到 DOM 稳定（settleTime 内无 DOM 变化）的时间，以及期间加载的资源
+ *
+ * 只依赖浏览器标准 API（PerformanceObserver / performance.getEntriesByType），不支持时静默跳过
+ */
+
+// 评级阈值 [good, poor]，与 web.dev 公布的一致
+const THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  FCP: [1800, 3000],
+  TTFB: [800, 1800]
+}
+
+export function rateMetric(name, value) {
+  const t = THRESHOLDS[name]
+  if (!t) return undefined
+  if (value <= t[0]) return 'good'
+  if (value <= t[1]) return 'needs-improvement'
+  return 'poor'
+}
+
+function round(n, digits = 0) {
+  const p = Math.pow(10, digits)
+  return Math.round(n * p) / p
+}
+
+function currentUrl() {
+  return typeof location !== 'undefined' ? location.href : ''
+}
+
+/**
+ * 从 PerformanceNavigationTiming 提取各阶段耗时（毫秒）
+ */
+export function summarizeNavigation(nav) {
+  if (!nav) return null
+  const d = (a, b) => (a > 0 && b > 0 && b >= a ? round(b - a) : null)
+  return {
+    navigationType: nav.type || null,
+    redirect: d(nav.redirectStart, nav.redirectEnd),
+    dns: d(nav.domainLookupStart, nav.domainLookupEnd),
+    tcp: d(nav.connectStart, nav.connectEnd),
+    tls: nav.secureConnectionStart > 0 ? d(nav.secureConnectionStart, nav.connectEnd) : null,
+    ttfb: d(nav.requestStart, nav.responseStart),
+    download: d(nav.responseStart, nav.responseEnd),
+    domInteractive: round(nav.domInteractive),
+    domContentLoaded: round(nav.domContentLoadedEventEnd),
+    load: round(nav.loadEventEnd),
+    transferSize: nav.transferSize != null ? nav.transferSize : null,
+    protocol: nav.nextHopProtocol || null
+  }
+}
+
+/**
+ * 汇总资源加载：数量、传输体积、按 initiatorType 分组、最慢的 topN
+ */
+export function summarizeResources(entries, topN = 5) {
+  const byType = {}
+  let transferSize = 0
+  entries.forEach(e => {
+    const type = e.initiatorType || 'other'
+    if (!byType[type]) byType[type] = { count: 0, transferSize: 0, duration: 0 }
+    byType[type].count++
+    byType[type].transferSize += e.transferSize || 0
+    byType[type].duration += e.duration || 0
+    transferSize += e.transferSize || 0
+  })
+  Object.keys(byType).forEach(k => { byType[k].duration = round(byType[k].duration) })
+  const slowest = entries
+    .slice()
+    .sort((a, b) => b.duration - a.duration)
+    .slice(0, topN)
+    .map(e => ({ name: e.name, initiatorType: e.initiatorType, duration: round(e.duration), transferSize: e.transferSize || 0 }))
+  return { count: entries.length, transferSize, byType, slowest }
+}
+
+/**
+ * options:
+ *  - onReport(data)
+ *  - resourceTopN: 资源汇总中最慢资源的条数，默认 5
+ *  - routeSettleTime: 软导航 DOM 稳定判定时间（ms），默认 100
+ *  - routeTimeout: 软导航最长等待（ms），默认 10000
+ *  - logger
+ * 返回 { start, stop, markRouteChange }
+ */
+export function createPerformanceMonitor(options = {}) {
+  const cfg = {
+    onReport: null,
+    resourceTopN: 5,
+    routeSettleTime: 100,
+    routeTimeout: 10000,
+    logger: null,
+    ...options
+  }
+  const supported = typeof window !== 'undefined' && typeof performance !== 'undefined' && typeof PerformanceObserver !== 'undefined'
+
+  let started = false
+  let observers = []
+  let cleanups = []
+  // 页面隐藏时上报的指标：name -> { value, reported }
+  let pendingVitals = {}
+  // CLS 会话窗口
+  let clsSession = { value: 0, first: 0, last: 0 }
+  // INP：interactionId -> 最长时长
+  let interactions = new Map()
+  let routeTiming = null
+
+  function report(data) {
+    try {
+      cfg.onReport?.(data)
+    } catch (e) {
+      cfg.logger?.warn('performance report failed', e)
+    }
+  }
+
+  function reportVital(name, value) {
+    report({ type: 'web_vital', name, value: round(value, name === 'CLS' ? 4 : 0), rating: rateMetric(name, value), pageUrl: currentUrl() })
+  }
+
+  function updateVital(name, value) {
+    const prev = pendingVitals[name]
+    if (prev && prev.value === value) return
+    pendingVitals[name] = { value, reported: false }
+  }
+
+  function flushVitals() {
+    Object.keys(pendingVitals).forEach(name => {
+      const v = pendingVitals[name]
+      if (v.reported) return
+      v.reported = true
+      reportVital(name, v.value)
+    })
+  }
+
+  function observe(type, cb, extra = {}) {
+    try {
+      const po = new PerformanceObserver(list => cb(list.getEntries()))
+      po.observe({ type, buffered: true, ...extra })
+      observers.push(po)
+    } catch (e) {
+      // 浏览器不支持该 entry 类型
+      cfg.logger?.debug(`PerformanceObserver ${type} unsupported`)
+    }
+  }
+
+  function on(target, event, handler, opts) {
+    target.addEventListener(event, handler, opts)
+    cleanups.push(() => target.removeEventListener(event, handler, opts))
+  }
+
+  function computeInp() {
+    if (!interactions.size) return null
+    // 近似 p98：每 50 次交互忽略一次最长的
+    const durations = Array.from(interactions.values()).sort((a, b) => b - a)
+    const index = Math.min(durations.length - 1, Math.floor(interactions.size / 50))
+    return durations[index]
+  }
+
+  function getNavigationEntry() {
+    const list = performance.getEntriesByType ? performance.getEntriesByType('navigation') : []
+    return list && list[0]
+  }
+
+  function reportLoadMetrics() {
+    const nav = getNavigationEntry()
+    if (nav) {
+      const ttfb = Math.max(0, nav.responseStart - (nav.activationStart || 0))
+      reportVital('TTFB', ttfb)
+      report({ type: 'navigation', pageUrl: currentUrl(), ...summarizeNavigation(nav) })
+    }
+    const resources = performance.getEntriesByType ? performance.getEntriesByType('resource') : []
+    report({ type: 'resource_summary', pageUrl: currentUrl(), ...summarizeResources(resources, cfg.resourceTopN) })
+  }
+
+  function start() {
+    if (started || !supported) return
+    started = true
+
+    observe('paint', entries => {
+      entries.forEach(e => {
+        if (e.name === 'first-contentful-paint') reportVital('FCP', e.startTime)
+      })
+    })
+    observe('largest-contentful-paint', entries => {
+      const last = entries[entries.length - 1]
+      if (last) updateVital('LCP', last.renderTime || last.loadTime || last.startTime)
+    })
+    observe('layout-shift', entries => {
+      entries.forEach(e => {
+        if (e.hadRecentInput) return
+        // 会话窗口：相邻偏移间隔 < 1s 且窗口总长 < 5s，CLS 取最大窗口值
+        if (clsSession.value && (e.startTime - clsSession.last > 1000 || e.startTime - clsSession.first > 5000)) {
+          clsSession = { value: 0, first: e.startTime, last: e.startTime }
+        }
+        if (!clsSession.value) clsSession.first = e.startTime
+        clsSession.value += e.value
+        clsSession.last = e.startTime
+        const prev = pendingVitals.CLS ? pendingVitals.CLS.value : 0
+        if (clsSession.value > prev) updateVital('CLS', clsSession.value)
+      })
+    })
+    const handleInteraction = entries => {
+      entries.forEach(e => {
+        if (!e.interactionId) return
+        interactions.set(e.interactionId, Math.max(interactions.get(e.interactionId) || 0, e.duration))
+      })
+      const inp = computeInp()
+      if (inp != null) updateVital('INP', inp)
+    }
+    observe('event', handleInteraction, { durationThreshold: 40 })
+    observe('first-input', handleInteraction)
+
+    // 页面隐藏时上报 LCP / CLS / INP 的当前值
+    on(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushVitals()
+    })
+    on(window, 'pagehide', flushVitals)
+
+    // load 之后 loadEventEnd 才有值
+    if (document.readyState === 'complete') {
+      setTimeout(reportLoadMetrics, 0)
+    } else {
+      on(window, 'load', () => setTimeout(reportLoadMetrics, 0), { once: true })
+    }
+  }
+
+  function finishRouteChange(timing, timedOut) {
+    if (routeTiming !== timing) return
+    routeTiming = null
+    timing.observer?.disconnect()
+    clearTimeout(timing.settleTimer)
+    clearTimeout(timing.timeoutTimer)
+    const resources = (performance.getEntriesByType ? performance.getEntriesByType('resource') : [])
+      .filter(e => e.startTime >= timing.start)
+    const summary = summarizeResources(resources, cfg.resourceTopN)
+    report({
+      type: 'route_change',
+      pageUrl: timing.to,
+      from: timing.from,
+      duration: round(timing.lastChange - timing.start),
+      timedOut: !!timedOut,
+      resourceCount: summary.count,
+      resourceTransferSize: summary.transferSize
+    })
+  }
+
+  /**
+   * 软导航：从路由变化开始计时，直到 DOM 在 routeSettleTime 内不再变化
+   * 首屏尚未 load 时（如 Vue Router 的初始导航）不计，由 navigation 覆盖
+   */
+  function markRouteChange(to, from) {
+    if (!started || document.readyState !== 'complete') return
+    // 上一次尚未稳定就再次跳转：以跳转时刻结束上一次
+    if (routeTiming) {
+      routeTiming.lastChange = performance.now()
+      finishRouteChange(routeTiming, false)
+    }
+    const timing = { to, from, start: performance.now(), lastChange: performance.now(), observer: null, settleTimer: null, timeoutTimer: null }
+    routeTiming = timing
+    const settle = () => {
+      clearTimeout(timing.settleTimer)
+      timing.settleTimer = setTimeout(() => finishRouteChange(timing, false), cfg.routeSettleTime)
+    }
+    if (typeof MutationObserver !== 'undefined' && document.body) {
+      timing.observer = new MutationObserver(() => {
+        timing.lastChange = performance.now()
+        settle()
+      })
+      timing.observer.observe(document.body, { childList: true, subtree: true, attributes: true, characterData: true })
+    }
+    timing.timeoutTimer = setTimeout(() => finishRouteChange(timing, true), cfg.routeTimeout)
+    settle()
+  }
+
+  function stop() {
+    if (!started) return
+    flushVitals()
+    observers.forEach(po => po.disconnect())
+    cleanups.forEach(fn => fn())
+    if (routeTiming) {
+      routeTiming.observer?.disconnect()
+      clearTimeout(routeTiming.settleTimer)
+      clearTimeout(routeTiming.timeoutTimer)
+      routeTiming = null
+    }
+    observers = []
+    cleanups = []
+    pendingVitals = {}
+    clsSession = { value: 0, first: 0, last: 0 }
+    interactions = new Map()
+    started = false
+  }
+
+  return { start, stop, markRouteChange }
+}
@@ -0,0 +1,166 @@
+/**
+ * 远程配置加载
+ *
+ * 流程：请求 url（带超时）→ 成功则写入 localStorage 作为「最近一次可用配置」并返回
+ *      → 失败 / 超时则读取缓存 → 缓存也没有则返回 null（调用方使用本地配置）
+ * 永不 reject，不影响宿主业务
+ */
+
+const DEFAULT_TIMEOUT = 3000
+
+// 远程配置允许设置的字段（白名单）：功能开关、采样、错误过滤、schema 与日志级别
+// url / headers / mode / otherOptions / customFetchOptions 等决定数据发往何处的字段一律不可远程修改，
+// 避免一次错误或被篡改的配置响应把全部数据转发到其它地址
+export const REMOTE_CONFIG_KEYS = [
+  'activityTrack',
+  'activityTrackingOptions',
+  'linkTrack',
+  'linkClickTrackingOptions',
+  'declarativeTrack',
+  'enablePageView',
+  'routeRules',
+  'autoRouteTemplate',
+  'dwellTimeTrack',
+  'minDwellTime',
+  'enableErrHandler',
+  'errorHandlerOptions',
+  'breadcrumbs',
+  'networkTrack',
+  'networkTrackOptions',
+  'performanceTrack',
+  'performanceOptions',
+  'sampling',
+  'schemas',
+  'schemaValidation',
+  'jsErrorSchema',
+  'resourceErrorSchema',
+  'networkErrorSchema',
+  'performanceSchema',
+  'dwellTimeSchema',
+  'globalContextSchema',
+  'debug',
+  'logLevel'
+]
+
+// 对象字段中只有这些子字段可以远程设置：errorHandlerOptions 会原样展开给 useErrorHandler，
+// 其中的 send / trackers / logger / requestId / fingerprint 等实现与身份字段不可远程替换
+export const REMOTE_CONFIG_NESTED_KEYS = {
+  errorHandlerOptions: [
+    'ignoreErrors',
+    'rateLimitPerMinute',
+    'dedupIntervalMs',
+    'maxRecentErrors',
+    'parseStack',
+    'stackLimit',
+    'fingerprintFrames',
+    'fingerprintFunctionNames'
+  ]
+}
+
+function readCache(cacheKey) {
+  try {
+    if (typeof localStorage === 'undefined') return null
+    const raw = localStorage.getItem(cacheKey)
+    return raw ? JSON.parse(raw) : null
+  } catch (e) {
+    return null
+  }
+}
+
+function writeCache(cacheKey, config) {
+  try {
+    if (typeof localStorage === 'undefined') return
+    localStorage.setItem(cacheKey, JSON.stringify(config))
+  } catch (e) { /* 存储满或隐私模式，忽略 */
+  }
+}
+
+/**
+ * @param {object} options
+ *  - url: 配置 JSON 地址（必填）
+ *  - timeout: 超时毫秒数，默认 3000
+ *  - cacheKey: localStorage key，默认 'FT_REMOTE_CONFIG'
+ *  - headers: 请求头
+ *  - logger: 共享 logger（utils/logger），可选
+ * @returns {Promise<{ config: object|null, source: 'remote'|'cache'|'local' }>}
+ */
+export async function loadRemoteConfig(options = {}) {
+  const {
+    url,
+    timeout = DEFAULT_TIMEOUT,
+    cacheKey = 'FT_REMOTE_CONFIG',
+    headers,
+    logger = null
+  } = options
+
+  const fallback = () => {
+    const cached = readCache(cacheKey)
+    if (cached && typeof cached === 'object') return { config: cached, source: 'cache' }
+    return { config: null, source: 'local' }
+  }
+
+  if (!url || typeof fetch !== 'function') return fallback()
+
+  const controller = typeof AbortController === 'function' ? new AbortController() : null
+  let timer = null
+  try {
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        if (controller) controller.abort()
+        reject(new Error('remote config timeout'))
+      }, timeout)
+    })
+    const res = await Promise.race([
+      fetch(url, { headers, credentials: 'omit', signal: controller ? controller.signal : undefined }),
+      timeoutPromise
+    ])
+    if (!res.ok) throw new Error(`remote config responded ${res.status}`)
+    const config = await res.json()
+    if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('remote config is not an object')
+    writeCache(cacheKey, config)
+    return { config, source: 'remote' }
+  } catch (e) {
+    if (logger) logger.warn('load remote config failed, fallback', e)
+    return fallback()
+  } finally {
+    if (timer) clearTimeout(timer)
+  }
+}
+
+/**
+ * 把远程配置合并到本地 options 之上
+ * - 顶层字段直接覆盖；两边都是普通对象的字段做一层浅合并（如 errorHandlerOptions、sampling）
+ * - 不在 REMOTE_CONFIG_KEYS 中的字段忽略；REMOTE_CONFIG_NESTED_KEYS 中的字段只取白名单内的子字段
+ */
+export function mergeRemoteConfig(local, remote) {
+  if (!remote || typeof remote !== 'object') return local
+  const merged = { ...local }
+  Object.keys(remote).forEach(key => {
+    if (!REMOTE_CONFIG_KEYS.includes(key)) return
+    const lv = local[key]
+    let rv = remote[key]
+    const nestedKeys = REMOTE_CONFIG_NESTED_KEYS[key]
+    if (nestedKeys) {
+      if (!isPlainObject(rv)) return
+      rv = pick(rv, nestedKeys)
+    }
+    if (isPlainObject(lv) && isPlainObject(rv)) {
+      merged[key] = { ...lv, ...rv }
+    } else {
+      merged[key] = rv
+    }
+  })
+  return merged
+}
+
+function pick(obj, keys) {
+  const picked = {}
+  keys.forEach(k => {
+    if (Object.prototype.hasOwnProperty.call(obj, k)) picked[k] = obj[k]
+  })
+  return picked
+}
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v)
+}
@@ -0,0 +1,211 @@
+/**
+ * 路由来源适配器：把各框架 / 小程序的路由事件统一成 initRouterListener 的 RouteChange
+ *
+ * 适配器接口：
+ *  {
+ *    name: string,
+ *    isAvailable(): boolean,                  // 当前环境是否可用
+ *    subscribe(emit): () => void,             // 订阅路由变化，返回取消函数
+ *    getCurrent?(): { path, query } | null     // 当前页面（小程序等没有 location 的环境用作初始页）
+ *  }
+ * emit({ path, query, navigationType })：path 为页面路径（可不带前导 /），query 为参数对象，
+ * navigationType 缺省为 'framework'
+ */
+
+// 小程序 openType → RouteChange.navigationType
+const OPEN_TYPE_MAP = {
+  navigateTo: 'push',
+  redirectTo: 'replace',
+  navigateBack: 'pop',
+  switchTab: 'replace',
+  reLaunch: 'replace',
+  appLaunch: 'framework'
+}
+
+function safeGlobal(name) {
+  try {
+    if (typeof globalThis !== 'undefined' && globalThis[name]) return globalThis[name]
+    if (typeof window !== 'undefined' && window[name]) return window[name]
+  } catch (e) { /* ignore */
+  }
+  return null
+}
+
+/**
+ * 路径 + query 拼成相对 URL：'pages/a/a', { id: 1 } → '/pages/a/a?id=1'
+ */
+export function buildRouteUrl(path, query) {
+  let p = String(path || '')
+  if (!p.startsWith('/')) p = '/' + p
+  const keys = query && typeof query === 'object' ? Object.keys(query) : []
+  if (!keys.length) return p
+  const qs = keys
+    .filter(k => query[k] != null)
+    .map(k => `${encodeURIComponent(k)}=${encodeURIComponent(String(query[k]))}`)
+    .join('&')
+  return qs ? `${p}${p.includes('?') ? '&' : '?'}${qs}` : p
+}
+
+// getCurrentPages() 的最后一页（uni-app / 原生小程序通用）
+function currentPageFromStack() {
+  try {
+    const getPages = safeGlobal('getCurrentPages')
+    const pages = typeof getPages === 'function' ? getPages() : null
+    const page = pages && pages[pages.length - 1]
+    if (!page) return null
+    return { path: page.route || (page.$page && page.$page.path) || '', query: page.options || (page.$page && page.$page.options) || {} }
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * uni-app：拦截 navigateTo / redirectTo / reLaunch / switchTab / navigateBack，
+ * 跳转成功后从 getCurrentPages() 读取当前页（每次跳转都会触发，不再是只触发一次的 $once）
+ */
+export function createUniAdapter(uniApi = null) {
+  const getUni = () => uniApi || safeGlobal('uni')
+  return {
+    name: 'uni-app',
+    isAvailable() {
+      const u = getUni()
+      return !!u && typeof u.addInterceptor === 'function'
+    },
+    getCurrent: currentPageFromStack,
+    subscribe(emit) {
+      const u = getUni()
+      const interceptors = Object.keys(OPEN_TYPE_MAP)
+        .filter(api => api !== 'appLaunch')
+        .map(api => {
+          const interceptor = {
+            success() {
+              // 页面栈在回调之后才更新，延后读取
+              setTimeout(() => {
+                const page = currentPageFromStack()
+                if (page) emit({ ...page, navigationType: OPEN_TYPE_MAP[api] })
+              }, 0)
+            }
+          }
+          u.addInterceptor(api, interceptor)
+          return [api, interceptor]
+        })
+      return () => interceptors.forEach(([api, interceptor]) => {
+        try {
+          u.removeInterceptor(api, interceptor)
+        } catch (e) { /* ignore */
+        }
+      })
+    }
+  }
+}
+
+/**
+ * 拆分带 query 的路径（Taro H5 路由事件中的路径可能带 query）：'/pages/a?id=1' → { path: '/pages/a', query: { id: '1' } }
+ */
+export function splitPath(fullPath) {
+  const [path, search = ''] = String(fullPath || '').split('?')
+  const query = {}
+  search.split('&').filter(Boolean).forEach(pair => {
+    const [k, v = ''] = pair.split('=')
+    try {
+      query[decodeURIComponent(k)] = decodeURIComponent(v)
+    } catch (e) {
+      query[k] = v
+    }
+  })
+  return { path, query }
+}
+
+/**
+ * Taro H5：@tarojs/router 在每次跳转后通过 eventCenter 触发 '__taroRouterChange'
+ */
+export function createTaroH5Adapter(taroApi = null) {
+  const getTaro = () => taroApi || safeGlobal('Taro')
+  const current = () => {
+    try {
+      const router = getTaro().getCurrentInstance?.().router
+      return router ? { path: splitPath(router.path).path, query: router.params || {} } : null
+    } catch (e) {
+      return null
+    }
+  }
+  return {
+    name: 'taro-h5',
+    isAvailable() {
+      const t = getTaro()
+      return !!t && !!t.eventCenter && typeof t.eventCenter.on === 'function'
+    },
+    getCurrent: current,
+    subscribe(emit) {
+      const center = getTaro().eventCenter
+      const handler = (payload) => {
+        const loc = payload && (payload.toLocation || payload.to)
+        const page = loc && loc.path ? splitPath(loc.path) : current()
+        if (page) emit(page)
+      }
+      center.on('__taroRouterChange', handler)
+      return () => center.off('__taroRouterChange', handler)
+    }
+  }
+}
+
+/**
+ * 微信风格的 onAppRoute：wx / my / tt / qq / swan 等小程序全局对象
+ * 回调参数 { path, query, openType }
+ */
+export function createAppRouteAdapter(api = null) {
+  const getApi = () => api || ['wx', 'my', 'tt', 'qq', 'swan'].map(safeGlobal).find(a => a && typeof a.onAppRoute === 'function') || null
+  return {
+    name: 'app-route',
+    isAvailable() {
+      const a = getApi()
+      return !!a && typeof a.onAppRoute === 'function'
+    },
+    getCurrent: currentPageFromStack,
+    subscribe(emit) {
+      const a = getApi()
+      const handler = (res) => {
+        if (!res || !res.path) return
+        emit({ path: res.path, query: res.query || {}, navigationType: OPEN_TYPE_MAP[res.openType] || 'framework' })
+      }
+      a.onAppRoute(handler)
+      return () => {
+        if (typeof a.offAppRoute === 'function') a.offAppRoute(handler)
+      }
+    }
+  }
+}
+
+/**
+ * 内置适配器（按顺序检测，全部可用的都会订阅，同一次跳转由 initRouterListener 按路径去重）
+ */
+export function getDefaultRouteAdapters() {
+  return [createUniAdapter(), createTaroH5Adapter(), createAppRouteAdapter()]
+}
+
+/**
+ * 过滤出当前环境可用的适配器
+ */
+export function getAvailableRouteAdapters(adapters = getDefaultRouteAdapters()) {
+  return (adapters || []).filter(adapter => {
+    try {
+      return !!adapter && typeof adapter.subscribe === 'function' && (!adapter.isAvailable || adapter.isAvailable())
+    } catch (e) {
+      return false
+    }
+  })
+}
+
+/**
+ * 适配器提供的当前页面 URL（没有 location 的环境作为初始页），都取不到时返回 null
+ */
+export function getCurrentRouteUrl(adapters) {
+  for (const adapter of adapters || []) {
+    try {
+      const page = typeof adapter.getCurrent === 'function' ? adapter.getCurrent() : null
+      if (page && page.path) return buildRouteUrl(page.path, page.query)
+    } catch (e) { /* ignore */
+    }
+  }
+  return null
+}
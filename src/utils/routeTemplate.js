@@ -0,0 +1,108 @@
+/**
+ * 路由模板：把具体路径归并为参数化的模式，避免 PV 中出现海量唯一页面
+ *
+ *  /user/123/order/456 → /user/:id/order/:orderId（规则）或 /user/:id/order/:id（自动识别）
+ *
+ * 来源优先级：框架路由（Vue Router to.matched）> routeRules 规则 > 自动识别 ID
+ */
+import { normalizePath } from './routerListener'
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+const HEX_RE = /^[0-9a-f]{16,}$/i
+// 含数字的长字母数字串（如 base62 / nanoid），长度 >= 20
+const TOKEN_RE = /^(?=.*\d)[A-Za-z0-9_-]{20,}$/
+
+/**
+ * 自动识别路径段中的 ID：纯数字 → :id，UUID → :uuid，长十六进制 / 长随机串 → :hash
+ */
+export function detectRouteTemplate(path) {
+  if (!path) return path
+  return String(path)
+    .split('/')
+    .map(seg => {
+      if (!seg) return seg
+      if (/^\d+$/.test(seg)) return ':id'
+      if (UUID_RE.test(seg)) return ':uuid'
+      if (HEX_RE.test(seg) || TOKEN_RE.test(seg)) return ':hash'
+      return seg
+    })
+    .join('/')
+}
+
+// 规则对象 -> 编译后的 RegExp（不修改调用方传入的规则）
+const compiledRules = new WeakMap()
+
+// '/user/:id/order/:orderId' → /^\/user\/[^/]+\/order\/[^/]+\/?$/，'*' 匹配任意剩余部分
+function compilePattern(pattern) {
+  const source = String(pattern)
+    .split('/')
+    .map(seg => {
+      if (seg === '*') return '.*'
+      if (seg.startsWith(':')) return '[^/]+'
+      return seg.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('/')
+  return new RegExp(`^${source}/?$`)
+}
+
+/**
+ * 按规则匹配路径，返回命中的规则（附带 template）或 null
+ * rule: { pattern: string | RegExp, template?, name?, track? }
+ *  - pattern 为字符串时（如 '/user/:id'）template 默认即 pattern
+ *  - pattern 为 RegExp 时需提供 template
+ */
+export function matchRouteRule(path, rules) {
+  if (!path || !Array.isArray(rules)) return null
+  for (const rule of rules) {
+    if (!rule || !rule.pattern) continue
+    try {
+      let re = rule.pattern instanceof RegExp ? rule.pattern : compiledRules.get(rule)
+      if (!re) {
+        re = compilePattern(rule.pattern)
+        compiledRules.set(rule, re)
+      }
+      if (re.test(path)) {
+        return { ...rule, template: rule.template || (typeof rule.pattern === 'string' ? rule.pattern : path) }
+      }
+    } catch (e) { /* 非法规则跳过 */
+    }
+  }
+  return null
+}
+
+/**
+ * 解析一次页面访问的路由信息
+ * route: 框架路由给出的 { template, name, track }（可选）
+ * options: { rules, auto }
+ * 返回 { path, template, name, track }
+ */
+export function resolveRoute(pageUrl, route = null, options = {}) {
+  const path = normalizePath(pageUrl || '')
+  const r = route || {}
+  const rule = r.template ? null : matchRouteRule(path, options.rules)
+  let template = r.template || (rule && rule.template) || null
+  if (!template && options.auto !== false) template = detectRouteTemplate(path)
+  return {
+    path,
+    template: template || path,
+    name: r.name || (rule && rule.name) || null,
+    track: r.track !== false && !(rule && rule.track === false)
+  }
+}
+
+/**
+ * 从 Vue Router 的路由对象提取 { template, name, track }
+ * - template：to.matched 最后一条记录的 path（已是完整的参数化路径）
+ * - route.meta.pageName 覆盖页面名，route.meta.track === false 跳过 PV
+ */
+export function routeFromVueRouter(to) {
+  if (!to) return null
+  const matched = Array.isArray(to.matched) ? to.matched : []
+  const last = matched[matched.length - 1]
+  const meta = to.meta || {}
+  return {
+    template: (last && last.path) || null,
+    name: meta.pageName || null,
+    track: meta.track !== false
+  }
+}
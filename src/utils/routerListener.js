@@ -1,116 +1,183 @@
+import { getDefaultRouteAdapters, getAvailableRouteAdapters, getCurrentRouteUrl, buildRouteUrl } from './routeAdapters'
+
 /**
  * 通用路由监听器
- *  1. 优先订阅框架自带的路由事件（uni-app、Taro）
+ *  1. 优先订阅框架 / 小程序的路由事件（路由适配器，见 routeAdapters.js：uni-app、Taro H5、onAppRoute）
  *  2. 接着监听标准浏览器事件：popstate、hashchange
  *  3. 可选 patch pushState/replaceState → 派发 location change
  *  4. 拦截 <a> 点击 & <form> 提交
- *  5. beforeunload/visibilitychange 做最后一次硬导航埋点
+ *  5. pagehide/beforeunload 时通知一次硬导航（unload）
+ *
+ * 路由部分（normalizePath）变化时回调一次结构化事件：
+ * @typedef {Object} RouteChange
+ * @property {string|null} from 上一页完整 URL
+ * @property {string|null} to 新页面完整 URL（unload 时为 null）
+ * @property {'push'|'replace'|'pop'|'hash'|'link'|'framework'|'unload'} navigationType
+ * @property {number} timestamp
+ * @property {boolean} soft 是否为软导航（SPA 内跳转）；unload 为硬导航
+ *
+ * 适配器事件额外带 query（参数对象）
+ *
+ * 没有 window 的环境（小程序）只使用适配器；既没有 window 也没有可用适配器（SSR / Node）时返回空的取消函数
  *
- * @param {(newUrl: string, oldUrl?: string|null) => void} onRouteChange
+ * @param {(change: RouteChange) => void} onRouteChange
+ * @param {{ adapters?: Array }} [options] adapters 缺省为内置适配器
  * @returns {() => void} 取消所有监听
  */
-export function initRouterListener(onRouteChange) {
-
-  // 保存上一页的路径，首次为初始化时的页面
-  let lastUrl = normalizePath(location.href)
-
-  function notify() {
-    const newUrl = normalizePath(location.href)
-    const oldUrl = lastUrl
-    if (newUrl === oldUrl) return
-    // 🔥 先更新 lastUrl，再触发回调，确保回调里拿到的是 old/new
-    lastUrl = newUrl
-    // ⚡️ 在路由变化时，先把“上一页”数据上报
-    onRouteChange(oldUrl)
+export function initRouterListener(onRouteChange, options = {}) {
+  const hasDom = typeof window !== 'undefined' && typeof history !== 'undefined' && typeof document !== 'undefined'
+  const adapters = getAvailableRouteAdapters(Array.isArray(options.adapters) ? options.adapters : getDefaultRouteAdapters())
+  if (!hasDom && !adapters.length) {
+    return () => {
+    }
   }
 
-  // 1. 框架事件：uni-app
-  let removeUniHook = () => {
-  }
-  if (typeof window.uni === 'object' && typeof uni.$once === 'function') {
-    // uni-app 默认会在跳转后触发 'routeChange' 事件（不同版本可能不同，请确认）
-    uni.$once('routeChange', notify)
-    removeUniHook = () => uni.$off('routeChange', notify)
-  }
+  // 上一页的完整 URL 与路由部分，首次为初始化时的页面
+  let lastHref = hasDom ? location.href : getCurrentRouteUrl(adapters)
+  let lastPath = lastHref ? normalizePath(lastHref) : null
+  let unloaded = false
 
-  // 1b. 框架事件：Taro
-  let removeTaroHook = () => {
-  }
-  if (typeof window.Taro === 'object' && Taro.eventCenter) {
-    // Taro H5 端可通过 eventCenter 订阅路由变化
-    const { on, off } = Taro.eventCenter
-    on('routeChange', notify)
-    removeTaroHook = () => off('routeChange', notify)
+  function emit(change) {
+    try {
+      onRouteChange({ ...change, timestamp: Date.now() })
+    } catch (e) { /* 回调异常不影响路由 */
+    }
   }
 
-  // 2. 浏览器原生事件
-  window.addEventListener('popstate', notify)
-  window.addEventListener('hashchange', notify)
-
-  // 3. 可选 patch History API
-  let removeMethodPatch = () => {
-  }
-  const _push = history.pushState
-  const _replace = history.replaceState
-  if (!_push._perfPatched) {
-    history.pushState = function() {
-      const result = _push.apply(this, arguments)
-      window.dispatchEvent(new Event('locationchange'))
-      return result
+  function notify(navigationType, href = location.href, extra = null) {
+    const path = normalizePath(href)
+    // 只有 query 变化时不算换页，但记下最新 URL 作为下一次的 from
+    if (path === lastPath) {
+      lastHref = href
+      return
     }
-    history.pushState._perfPatched = true
+    const from = lastHref
+    // 先更新 last，再触发回调，确保回调里拿到的是 from/to
+    lastHref = href
+    lastPath = path
+    unloaded = false
+    emit({ from, to: href, navigationType, soft: true, ...(extra || {}) })
   }
-  if (!_replace._perfPatched) {
-    history.replaceState = function() {
-      const result = _replace.apply(this, arguments)
-      window.dispatchEvent(new Event('locationchange'))
-      return result
+
+  // 1. 路由适配器：同一次跳转可能被多个来源（适配器 + History API）捕获，按路径去重
+  const removeAdapters = adapters.map(adapter => {
+    try {
+      return adapter.subscribe(({ path, query, navigationType } = {}) => {
+        if (!path) return
+        notify(navigationType || 'framework', buildRouteUrl(path, query), { query: query || {} })
+      })
+    } catch (e) {
+      return null
     }
-    history.replaceState._perfPatched = true
-  }
-  window.addEventListener('locationchange', notify)
-  removeMethodPatch = () => {
-    window.removeEventListener('locationchange', notify)
-    history.pushState = _push
-    history.replaceState = _replace
+  })
+  const removeAdapterHooks = () => removeAdapters.forEach(off => {
+    try {
+      typeof off === 'function' && off()
+    } catch (e) { /* ignore */
+    }
+  })
+
+  // 小程序等没有 DOM 的环境到此为止
+  if (!hasDom) return removeAdapterHooks
+
+  // 2. 浏览器原生事件
+  const onPopState = () => notify('pop')
+  const onHashChange = () => notify('hash')
+  window.addEventListener('popstate', onPopState)
+  window.addEventListener('hashchange', onHashChange)
+
+  // 3. 可选 patch History API（引用计数，多个监听器共享同一个 patch）
+  patchHistory()
+  const onLocationChange = (e) => notify((e && e.detail && e.detail.navigationType) || 'push')
+  window.addEventListener('locationchange', onLocationChange)
+  const removeMethodPatch = () => {
+    window.removeEventListener('locationchange', onLocationChange)
+    unpatchHistory()
   }
 
   // 4. 拦截 <a> 点击 & <form> 提交
   const clickHandler = e => {
-    const a = e.target.closest('a[href]')
+    const a = e.target && typeof e.target.closest === 'function' ? e.target.closest('a[href]') : null
     if (!a) return
     const href = a.getAttribute('href')
     // 只拦截同源并非下载链接
     if (!href.startsWith('http') || new URL(href, location.origin).origin === location.origin) {
-      setTimeout(notify, 0)
+      setTimeout(() => notify('link'), 0)
     }
   }
   document.addEventListener('click', clickHandler, true)
 
-  // 5. 硬导航前最后一次埋点
-  const beforeUnloadHandler = () => onRouteChange(normalizePath(location.href), lastUrl)
-  const visibilityHandler = () => {
-    if (document.visibilityState === 'hidden') {
-      onRouteChange(normalizePath(location.href), lastUrl)
-    }
+  // 5. 硬导航：页面卸载时通知一次（pagehide 与 beforeunload 可能都会触发）
+  const unloadHandler = () => {
+    if (unloaded) return
+    unloaded = true
+    emit({ from: lastHref, to: null, navigationType: 'unload', soft: false })
+  }
+  // 从 bfcache 恢复后允许再次通知
+  const pageShowHandler = (e) => {
+    if (e && e.persisted) unloaded = false
   }
-  window.addEventListener('beforeunload', beforeUnloadHandler)
-  document.addEventListener('visibilitychange', visibilityHandler)
+  window.addEventListener('pagehide', unloadHandler)
+  window.addEventListener('beforeunload', unloadHandler)
+  window.addEventListener('pageshow', pageShowHandler)
 
   // 返回取消监听
   return () => {
-    removeUniHook()
-    removeTaroHook()
-    window.removeEventListener('popstate', notify)
-    window.removeEventListener('hashchange', notify)
-    window.removeEventListener('beforeunload', beforeUnloadHandler)
-    document.removeEventListener('visibilitychange', visibilityHandler)
+    removeAdapterHooks()
+    window.removeEventListener('popstate', onPopState)
+    window.removeEventListener('hashchange', onHashChange)
+    window.removeEventListener('pagehide', unloadHandler)
+    window.removeEventListener('beforeunload', unloadHandler)
+    window.removeEventListener('pageshow', pageShowHandler)
 
     removeMethodPatch()
     document.removeEventListener('click', clickHandler, true)
   }
 }
 
+// History API patch 的共享状态：第一个监听器安装 patch，最后一个监听器卸载时恢复原方法
+let historyPatchCount = 0
+let originalPushState = null
+let originalReplaceState = null
+let patchedPushState = null
+let patchedReplaceState = null
+
+// locationchange 事件通过 detail 携带导航类型
+function dispatchLocationChange(navigationType) {
+  const event = typeof CustomEvent === 'function'
+    ? new CustomEvent('locationchange', { detail: { navigationType } })
+    : new Event('locationchange')
+  window.dispatchEvent(event)
+}
+
+function patchHistory() {
+  if (historyPatchCount++ > 0) return
+  originalPushState = history.pushState
+  originalReplaceState = history.replaceState
+  patchedPushState = function() {
+    const result = originalPushState.apply(this, arguments)
+    dispatchLocationChange('push')
+    return result
+  }
+  patchedReplaceState = function() {
+    const result = originalReplaceState.apply(this, arguments)
+    dispatchLocationChange('replace')
+    return result
+  }
+  history.pushState = patchedPushState
+  history.replaceState = patchedReplaceState
+}
+
+function unpatchHistory() {
+  if (historyPatchCount === 0 || --historyPatchCount > 0) return
+  // 只有在没有其他库在我们之后再次 patch 时才恢复，避免把别人的 patch 一并卸掉
+  if (history.pushState === patchedPushState) history.pushState = originalPushState
+  if (history.replaceState === patchedReplaceState) history.replaceState = originalReplaceState
+  originalPushState = null
+  originalReplaceState = null
+  patchedPushState = null
+  patchedReplaceState = null
+}
 
 /**
  * 规范化 URL，只保留「路由部分」
@@ -122,7 +189,7 @@ export function initRouterListener(onRouteChange) {
  */
 export function normalizePath(fullUrl) {
   try {
-    const url = new URL(fullUrl, window.location.origin)
+    const url = new URL(fullUrl, typeof window !== 'undefined' ? window.location.origin : 'http://localhost')
     const hash = url.hash // 带 '#'
     if (hash && hash.startsWith('#/')) {
       // 去掉首个 '#'，然后再去掉查询参数
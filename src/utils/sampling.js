@@ -0,0 +1,45 @@
+/**
+ * 采样工具
+ *
+ * 采样规则示例（取值 0~1，未配置的类型按 default，default 缺省为 1）：
+ *  {
+ *    page_view: 1,
+ *    struct: 1,
+ *    self_describing: 1,
+ *    error: 1,
+ *    performance: 0.2, // performanceTrack 性能数据
+ *    activity: 0.1, // activityTrack 心跳
+ *    link: 0.1,     // linkTrack 链接点击
+ *    default: 1
+ *  }
+ *
+ * 采样是否命中由会话种子（getRequestId()）确定性计算：同一会话内同一类型的结果恒定，
+ * 命中的用户跨页面保持命中；不同类型之间共用同一个桶，低采样率类型的用户是高采样率类型用户的子集。
+ */
+
+// FNV-1a 32 位哈希，映射到 [0, 1)
+export function hashToUnit(str) {
+  let h = 0x811c9dc5
+  const s = String(str)
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i)
+    h = Math.imul(h, 0x01000193) >>> 0
+  }
+  return h / 0x100000000
+}
+
+// resolveSampleRate: 取某类型的采样率，非法值按 1 处理并限制在 [0, 1]
+export function resolveSampleRate(rules, type) {
+  if (!rules || typeof rules !== 'object') return 1
+  let rate = rules[type]
+  if (rate == null) rate = rules.default
+  if (rate == null || !Number.isFinite(Number(rate))) return 1
+  return Math.min(1, Math.max(0, Number(rate)))
+}
+
+// isSampledIn: rate >= 1 恒命中，rate <= 0 恒不命中；否则按种子哈希确定
+export function isSampledIn(rate, seed) {
+  if (rate >= 1) return true
+  if (rate <= 0) return false
+  return hashToUnit(seed) < rate
+}
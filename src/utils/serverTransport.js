@@ -0,0 +1,175 @@
+/**
+ * 服务端（SSR / Node）与小程序 HTTP 上报
+ *
+ * 服务端没有 snowplow 浏览器 tracker，事件由这里直接 POST 到 url。
+ * 小程序没有 fetch，通过 miniProgramFetch 把 wx.request / uni.request 等包装成 fetch 形式使用。
+ * 请求体与浏览器端 useCustomFetch 一致：transformSnowplowPayload 解析后的事件数组（再经过 formatInput），
+ * 后端可以用同一套逻辑接收前后端事件。
+ *
+ * 单个事件结构（与 transformSnowplowPayload 的 parseSnowplowEvent 输出对齐）：
+ *  - page_view：{ eventType: 'page_view', title, url, referrer, ...common }
+ *  - struct：{ eventType: 'structured_event', category, action, label, property, ...common }
+ *  - self_describing / error：{ eventType: 'unstruct', schema, payload, ...common }
+ *  common：{ eid, ts, vid, sid, p, url, uid, contexts, raw }
+ */
+
+import { v4 as uuidv4 } from 'uuid'
+
+function tryParseJson(s) {
+  if (typeof s !== 'string') return s
+  try {
+    return JSON.parse(s)
+  } catch (e) {
+    return s
+  }
+}
+
+/**
+ * 把 FrontendTracker 管道中的事件转换为上报结构
+ * @param {object} ev 管道事件（见 utils/middleware.js）
+ * @param {Array|undefined} context SDK context 实体
+ * @param {object} meta { platform }
+ */
+export function toServerEvent(ev, context, meta = {}) {
+  const common = {
+    eid: uuidv4(),
+    ts: Date.now(),
+    vid: null,
+    sid: null,
+    p: meta.platform || 'srv',
+    url: ev.pageUrl || null,
+    uid: (ev.globals && ev.globals.userId) || null,
+    contexts: context && context.length ? context : null,
+    raw: null
+  }
+  switch (ev.type) {
+    case 'page_view':
+      return {
+        eventType: 'page_view',
+        title: ev.title || null,
+        referrer: ev.referrer || null,
+        ...common
+      }
+    case 'struct':
+      return {
+        eventType: 'structured_event',
+        category: ev.category || null,
+        action: ev.action || null,
+        label: ev.label || null,
+        property: ev.property ? tryParseJson(ev.property) : null,
+        ...common
+      }
+    default:
+      return {
+        eventType: 'unstruct',
+        schema: ev.schema || null,
+        payload: ev.data,
+        ...common
+      }
+  }
+}
+
+// 提供 request 的小程序 / 跨端框架全局对象，按顺序检测（uni-app、Taro 运行在小程序中时 wx 等同样存在）
+const MINI_PROGRAM_GLOBALS = ['uni', 'Taro', 'wx', 'my', 'tt', 'qq', 'swan']
+
+/**
+ * 查找当前环境的小程序 request API（wx / uni / my ...），没有时返回 null
+ */
+export function findMiniProgramApi() {
+  for (const name of MINI_PROGRAM_GLOBALS) {
+    try {
+      const api = typeof globalThis !== 'undefined' ? globalThis[name] : undefined
+      if (api && typeof api.request === 'function') return api
+    } catch (e) { /* ignore */
+    }
+  }
+  return null
+}
+
+/**
+ * 把小程序的 request 包装成 fetch 形式：(url, init) => Promise<{ ok, status }>
+ * 请求头同时以 header（微信 / uni-app / 抖音）与 headers（支付宝）传入
+ */
+export function miniProgramFetch(api) {
+  return (url, init = {}) => new Promise((resolve, reject) => {
+    api.request({
+      url,
+      method: init.method || 'GET',
+      header: init.headers,
+      headers: init.headers,
+      data: init.body,
+      success: (res) => {
+        const status = res && (res.statusCode != null ? res.statusCode : res.status)
+        resolve({ ok: status >= 200 && status < 300, status })
+      },
+      fail: (err) => reject(new Error((err && (err.errMsg || err.errorMessage)) || 'request failed'))
+    })
+  })
+}
+
+/**
+ * @param {object} options
+ *  - url: 上报地址（必填）
+ *  - headers: 额外请求头
+ *  - formatInput: (events) => finalPayload，与 useCustomFetch 相同，可同步 / 异步
+ *  - platform: 事件的 p 字段，默认 'srv'
+ *  - fetch: 自定义 fetch 实现，默认使用全局 fetch（Node 18+）
+ *  - logger: 共享 logger（utils/logger），可选
+ */
+export function createServerTransport(options = {}) {
+  const {
+    url,
+    headers = {},
+    formatInput = null,
+    platform = 'srv',
+    fetch: fetchImpl = typeof fetch === 'function' ? fetch : null,
+    logger = null
+  } = options
+
+  // 未完成的请求，flush() 时等待全部结束（SSR 渲染结束前调用）
+  const pending = new Set()
+
+  async function post(events) {
+    let body = events
+    if (typeof formatInput === 'function') {
+      try {
+        body = await formatInput(events)
+      } catch (e) {
+        if (logger) logger.error('formatInput failed', e)
+        body = events
+      }
+    }
+    const res = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    })
+    if (!res.ok && logger) logger.warn('server transport responded not ok', res.status)
+    return res
+  }
+
+  // send: 同步返回是否已发出请求；请求本身异步进行，失败只记录日志
+  function send(ev, context) {
+    if (!url || typeof fetchImpl !== 'function') {
+      if (logger) logger.warn('server transport unavailable: missing url or fetch')
+      return false
+    }
+    const event = toServerEvent(ev, context, { platform })
+    const p = post([event])
+      .catch(e => {
+        if (logger) logger.warn('server transport failed', e)
+      })
+      .finally(() => pending.delete(p))
+    pending.add(p)
+    return true
+  }
+
+  function flush() {
+    return Promise.all(Array.from(pending)).then(() => undefined)
+  }
+
+  return {
+    send,
+    flush
+  }
+}
@@ -0,0 +1,96 @@
+/**
+ * 错误堆栈解析：把 Chrome / Firefox / Safari 的 stack 字符串解析为结构化帧
+ *
+ * frame: { function, file, line, column, sdk, extension }
+ *  - sdk：来自本 SDK（或其依赖的 snowplow）的帧
+ *  - extension：来自浏览器扩展的帧
+ * 帧按 stack 原始顺序（最内层调用在前），无法识别的行忽略
+ */
+
+// Chrome / Edge / Node：'    at fn (file:1:2)'、'    at file:1:2'、'    at async fn (file:1:2)'
+const CHROME_RE = /^\s*at (?:(.+?) )?\(?((?:file|https?|blob|chrome-extension|webpack|native|eval|app|\/|[a-z]:\\|\\\\).*?)(?::(\d+))?(?::(\d+))?\)?\s*$/i
+// Chrome 无源码位置的内置函数：'at Array.forEach (<anonymous>)'、'at JSON.parse (native)'
+const CHROME_NO_LOCATION_RE = /^\s*at (.+?) \((?:<anonymous>|native)\)\s*$/
+// Chrome eval：'at eval (eval at fn (file:1:2), <anonymous>:1:1)'，取外层位置
+const CHROME_EVAL_RE = /\((\S*)(?::(\d+))(?::(\d+))\)/
+// Firefox / Safari：'fn@file:1:2'、'@file:1:2'、'global code@file:1:2'
+const GECKO_RE = /^\s*(.*?)(?:\((.*?)\))?(?:^|@)((?:file|https?|blob|chrome|webpack|resource|moz-extension|safari-extension|safari-web-extension|capacitor|\[native).*?)(?::(\d+))?(?::(\d+))?\s*$/i
+// Firefox eval：'fn@file line 2 > eval:1:1'
+const GECKO_EVAL_RE = /(\S+) line (\d+)(?: > eval line \d+)* > eval/i
+
+const EXTENSION_RE = /^(chrome-extension|moz-extension|safari-extension|safari-web-extension|ms-browser-extension):\/\//i
+// 默认识别为 SDK 的文件路径
+const DEFAULT_SDK_PATTERNS = [/frontend-tracking-tool/i, /@snowplow\//i]
+
+const DEFAULT_MAX_FRAMES = 50
+
+function toInt(s) {
+  const n = parseInt(s, 10)
+  return Number.isFinite(n) ? n : null
+}
+
+function parseChromeLine(line) {
+  if (!/^\s*at /.test(line)) return null
+  const builtin = CHROME_NO_LOCATION_RE.exec(line)
+  if (builtin) return { function: builtin[1].replace(/^async /, '').replace(/^new /, ''), file: null, line: null, column: null }
+  const m = CHROME_RE.exec(line)
+  if (!m) {
+    // 'at <anonymous>' / 'at native' 等无位置信息的帧
+    const name = line.replace(/^\s*at /, '').trim()
+    return name ? { function: name, file: null, line: null, column: null } : null
+  }
+  let [, fn, file, lineNo, col] = m
+  if (file && file.indexOf('eval') === 0) {
+    const sub = CHROME_EVAL_RE.exec(file)
+    if (sub) {
+      file = sub[1]
+      lineNo = sub[2]
+      col = sub[3]
+    }
+  }
+  fn = fn ? fn.replace(/^async /, '').replace(/^new /, '') : null
+  return { function: fn || null, file: file || null, line: toInt(lineNo), column: toInt(col) }
+}
+
+function parseGeckoLine(line) {
+  if (line.indexOf('@') === -1) return null
+  const m = GECKO_RE.exec(line)
+  if (!m) return null
+  let [, fn, , file, lineNo, col] = m
+  if (file && file.indexOf(' > eval') > -1) {
+    const sub = GECKO_EVAL_RE.exec(file)
+    if (sub) {
+      file = sub[1]
+      lineNo = sub[2]
+      col = null
+    }
+  }
+  return { function: fn || null, file: file || null, line: toInt(lineNo), column: toInt(col) }
+}
+
+/**
+ * options:
+ *  - sdkPatterns: 识别 SDK 帧的文件路径规则（字符串包含或 RegExp），默认匹配 frontend-tracking-tool 与 @snowplow
+ *  - maxFrames: 最多保留的帧数，默认 50
+ */
+export function parseStack(stack, options = {}) {
+  if (!stack || typeof stack !== 'string') return []
+  const sdkPatterns = Array.isArray(options.sdkPatterns) ? options.sdkPatterns : DEFAULT_SDK_PATTERNS
+  const maxFrames = options.maxFrames > 0 ? options.maxFrames : DEFAULT_MAX_FRAMES
+  const frames = []
+  const lines = stack.split('\n')
+  for (let i = 0; i < lines.length && frames.length < maxFrames; i++) {
+    const line = lines[i]
+    if (!line || line.length > 1024) continue
+    const frame = parseChromeLine(line) || parseGeckoLine(line)
+    if (!frame) continue
+    const file = frame.file || ''
+    frame.extension = EXTENSION_RE.test(file)
+    frame.sdk = !!file && sdkPatterns.some(rule => {
+      if (rule instanceof RegExp) return rule.test(file)
+      return typeof rule === 'string' && rule !== '' && file.includes(rule)
+    })
+    frames.push(frame)
+  }
+  return frames
+}
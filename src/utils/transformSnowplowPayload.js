@@ -87,6 +87,14 @@ const tryNormalize = (cand) => {
   return tryParseJsonSafe(cand)
 }
 
+// 解析事件附带的 context 实体（co 为 JSON 字符串，cx 为 base64）
+// 返回 [{ schema, data }]，无 context 时返回 null
+function parseContexts(ev) {
+  const normalized = tryNormalize(ev.co) || tryNormalize(ev.cx)
+  if (!normalized) return null
+  const list = Array.isArray(normalized.data) ? normalized.data : (Array.isArray(normalized) ? normalized : null)
+  return list && list.length ? list : null
+}
 
 // 解析单个 Snowplow 原始事件对象（data[] 中的一项）
 function parseSnowplowEvent(ev, encodeBase64) {
@@ -99,6 +107,8 @@ function parseSnowplowEvent(ev, encodeBase64) {
     sid: ev.sid || null,
     p: ev.p || null,    // platform
     url: ev.url || ev.pageUrl || null,
+    uid: ev.uid || null,
+    contexts: parseContexts(ev),
     raw: ev
   }
 
@@ -287,7 +297,6 @@ export default async function transformSnowplowPayload(bodyText, encodeBase64) {
         if (ev) out.push(ev)
       }
       // 让出事件循环，避免阻塞 UI
-      // eslint-disable-next-line no-await-in-loop
       await new Promise(r => setTimeout(r, 0))
     }
     return out
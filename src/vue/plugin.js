@@ -0,0 +1,124 @@
+/**
+ * Vue 3 插件
+ *
+ * app.use(FrontendTrackerPlugin, { ...trackerConfig, router })
+ *
+ * - 创建并 init tracker（或使用 options.tracker 传入的现成实例），router 传入时自动接入 afterEach
+ * - 安装 app.config.errorHandler / warnHandler（保留并继续调用原有 handler）
+ * - provide(TRACKER_INJECTION_KEY, tracker)，并挂到 app.config.globalProperties.$tracker
+ * - 注册指令：
+ *   - v-track:click="{ category, action, label, property, value }"：元素事件触发时 trackEvent（arg 为 DOM 事件名，默认 click）
+ *   - v-expose="{ category, action, label, property, value, minDuration }"：元素进入视口后上报一次曝光
+ *     （基于 tracker.observeImpressions，category 默认 'impression'，action 默认 'expose'）
+ *
+ * 插件本身不依赖 vue 包，只使用 app 实例上的 API
+ */
+import { FrontendTracker } from '../FrontendTracker'
+
+// Symbol 作为 provide / inject 的 key，避免与应用或其它库 provide 的 'tracker' 冲突
+export const TRACKER_INJECTION_KEY = Symbol('FrontendTracker')
+
+// v-track 的元素状态：{ value, event, handler }
+const trackState = new WeakMap()
+
+function createTrackDirective(tracker) {
+  return {
+    mounted(el, binding) {
+      const event = binding.arg || 'click'
+      const state = { value: binding.value, event, handler: null }
+      state.handler = () => {
+        const v = state.value || {}
+        tracker.trackEvent(v.category, v.action || event, v.label, v.property, v.value)
+      }
+      trackState.set(el, state)
+      el.addEventListener(event, state.handler)
+    },
+    updated(el, binding) {
+      const state = trackState.get(el)
+      if (state) state.value = binding.value
+    },
+    unmounted(el) {
+      const state = trackState.get(el)
+      if (!state) return
+      el.removeEventListener(state.event, state.handler)
+      trackState.delete(el)
+    }
+  }
+}
+
+// v-expose 的元素状态：{ value, off }
+const exposeState = new WeakMap()
+
+function createExposeDirective(tracker, threshold) {
+  return {
+    mounted(el, binding) {
+      const state = { value: binding.value, off: null }
+      exposeState.set(el, state)
+      // 统一走 observeImpressions：按页面浏览去重，路由变化时自动重置
+      state.off = tracker.observeImpressions(el, {
+        threshold: (binding.value && binding.value.threshold) || threshold,
+        minDuration: (binding.value && binding.value.minDuration) || 0,
+        getParams: () => state.value || {}
+      })
+    },
+    updated(el, binding) {
+      const state = exposeState.get(el)
+      if (state) state.value = binding.value
+    },
+    unmounted(el) {
+      const state = exposeState.get(el)
+      if (state && state.off) state.off()
+      exposeState.delete(el)
+    }
+  }
+}
+
+/**
+ * options：FrontendTracker 的全部配置，外加
+ *  - router: Vue Router 实例（可选），用于自动 PV
+ *  - tracker: 已创建的 FrontendTracker 实例（可选），传入时不再新建；已 init 的实例会补挂 router（已在用通用路由监听时只输出警告）
+ *  - captureVueWarnings: 是否通过 warnHandler 上报 Vue 警告，默认 true（Vue 只在开发构建中触发警告）
+ *  - exposeThreshold: v-expose 的可见比例阈值，默认 0.5
+ */
+export const FrontendTrackerPlugin = {
+  install(app, options = {}) {
+    const { router = null, tracker: existing = null, captureVueWarnings = true, exposeThreshold = 0.5, ...config } = options
+    const tracker = existing || new FrontendTracker(config)
+    // 调用方已 init 过的 tracker 上 init(router) 不会再生效，由 attachRouter 补挂 router；本次刚 init 时它不做任何事
+    tracker.init(router)
+    tracker.attachRouter(router)
+
+    // 错误处理：保留原 handler，先上报再调用
+    const prevErrorHandler = app.config.errorHandler
+    const vueErrorHandler = tracker.getVueErrorHandler()
+    app.config.errorHandler = (err, vm, info) => {
+      vueErrorHandler(err, vm, info)
+      if (typeof prevErrorHandler === 'function') prevErrorHandler(err, vm, info)
+    }
+
+    if (captureVueWarnings) {
+      const prevWarnHandler = app.config.warnHandler
+      app.config.warnHandler = (msg, vm, trace) => {
+        try {
+          const component = (vm && (vm.$options?.name || vm.$options?.__name)) || null
+          tracker.reportJsError(msg, { source: 'vue', level: 'warn', component, trace })
+        } catch (e) { /* 上报异常不影响宿主 */
+        }
+        if (typeof prevWarnHandler === 'function') {
+          prevWarnHandler(msg, vm, trace)
+        } else if (typeof console !== 'undefined') {
+          // 设置 warnHandler 会屏蔽 Vue 默认的控制台警告，这里补回
+          console.warn(`[Vue warn]: ${msg}${trace || ''}`)
+        }
+      }
+    }
+
+    app.provide(TRACKER_INJECTION_KEY, tracker)
+    app.config.globalProperties.$tracker = tracker
+
+    app.directive('track', createTrackDirective(tracker))
+    app.directive('expose', createExposeDirective(tracker, exposeThreshold))
+  }
+}
+
+export default FrontendTrackerPlugin
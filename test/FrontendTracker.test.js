@@ -0,0 +1,227 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { FrontendTracker } from '../src/FrontendTracker'
+
+let seq = 0
+
+// 通过 snowplow 插件的 afterTrack 收集本实例实际产生的事件；bufferSize 足够大，测试中不会真正发请求
+function createTracker(options = {}) {
+  const events = []
+  const trackerId = `ft_test_${++seq}`
+  const tracker = new FrontendTracker({
+    url: 'https://collector.example.com',
+    appId: trackerId,
+    trackerId,
+    enablePageView: false,
+    enableErrHandler: false,
+    ...options,
+    otherOptions: {
+      eventMethod: 'post',
+      bufferSize: 100,
+      plugins: [{ afterTrack: payload => events.push(payload) }],
+      ...(options.otherOptions || {})
+    }
+  })
+  return { tracker, events, trackerId }
+}
+
+describe('FrontendTracker multiple instances', () => {
+  it('sends events only through the instance\'s own tracker', () => {
+    const a = createTracker()
+    const b = createTracker()
+    a.tracker.init()
+    b.tracker.init()
+
+    a.tracker.trackEvent('ui', 'click', 'buy')
+    b.tracker.trackPage('https://example.com/b', '')
+    a.tracker.trackCustomDescribingEvent({ step: 1 })
+
+    expect(a.events.map(e => e.e)).toEqual(['se', 'ue'])
+    expect(a.events.every(e => e.tna === a.trackerId && e.aid === a.trackerId)).toBe(true)
+    expect(a.events[0]).toMatchObject({ se_ca: 'ui', se_ac: 'click', se_la: 'buy' })
+    expect(b.events.map(e => [e.e, e.tna])).toEqual([['pv', b.trackerId]])
+  })
+
+  it('reports errors only to the instance that caught them', () => {
+    const a = createTracker()
+    const b = createTracker()
+    a.tracker.init()
+    b.tracker.init()
+
+    a.tracker.reportJsError(new Error('boom'))
+
+    expect(a.events.map(e => e.e)).toEqual(['ue'])
+    expect(b.events).toEqual([])
+  })
+})
+
+describe('FrontendTracker stop / re-init', () => {
+  it('restores History API patches and stops sending after stop()', () => {
+    const originalPushState = history.pushState
+    const { tracker, events } = createTracker({ enablePageView: true })
+    tracker.init()
+    expect(history.pushState).not.toBe(originalPushState)
+    expect(events.map(e => e.e)).toEqual(['pv'])
+
+    tracker.stop()
+    expect(history.pushState).toBe(originalPushState)
+    tracker.trackEvent('ui', 'click')
+    history.pushState({}, '', '/after-stop')
+    expect(events.map(e => e.e)).toEqual(['pv'])
+  })
+
+  it('can be started again with new options', () => {
+    const { tracker, events } = createTracker()
+    tracker.init()
+    tracker.stop()
+    expect(tracker.errorHandler).toBeNull()
+
+    tracker.init(null, { enableErrHandler: true })
+    expect(tracker.errorHandler).not.toBeNull()
+    tracker.trackEvent('ui', 'click')
+    expect(events.map(e => e.e)).toEqual(['se'])
+    tracker.stop()
+  })
+})
+
+// 取出事件携带的 context 实体（未开启 base64 时为 co，否则为 cx）
+function contextsOf(payload) {
+  const raw = payload.co || (payload.cx && Buffer.from(payload.cx, 'base64').toString('utf8'))
+  return raw ? JSON.parse(raw).data : []
+}
+
+describe('FrontendTracker SDK context', () => {
+  it('does not attach the SDK context without a valid iglu globalContextSchema', () => {
+    const { tracker, events } = createTracker({ globalContextSchema: 'no-schema' })
+    tracker.init()
+    tracker.identify('u1')
+    tracker.trackPage('https://example.com/user/42', '')
+
+    expect(events.map(e => e.e)).toEqual(['pv'])
+    expect(contextsOf(events[0]).some(c => c.schema === 'no-schema')).toBe(false)
+  })
+
+  it('attaches route and global properties under the configured schema', () => {
+    const schema = 'iglu:com.example/sdk_context/jsonschema/1-0-0'
+    const { tracker, events } = createTracker({ globalContextSchema: schema })
+    tracker.init()
+    tracker.setGlobalProperties({ tenant: 'acme' })
+    tracker.trackPage('https://example.com/user/42', '')
+
+    const sdk = contextsOf(events[0]).find(c => c.schema === schema)
+    expect(sdk.data).toMatchObject({ properties: { tenant: 'acme' }, routePath: '/user/42', routeTemplate: '/user/:id' })
+  })
+})
+
+// 只实现 startPageTracking 用到的部分：currentRoute（Vue Router 4 为 ref）与 afterEach
+function createRouter(currentRoute) {
+  const hooks = []
+  return {
+    currentRoute: { value: currentRoute },
+    afterEach(hook) {
+      hooks.push(hook)
+      return () => hooks.splice(hooks.indexOf(hook), 1)
+    },
+    navigate(to, from) {
+      hooks.forEach(hook => hook(to, from))
+    }
+  }
+}
+
+describe('FrontendTracker landing page view', () => {
+  const schema = 'iglu:com.example/sdk_context/jsonschema/1-0-0'
+  const sdkContext = payload => contextsOf(payload).find(c => c.schema === schema).data
+
+  it('takes the route template and page name of the landing page from the router', () => {
+    const router = createRouter({
+      fullPath: '/user/42',
+      matched: [{ path: '/user' }, { path: '/user/:uid' }],
+      meta: { pageName: '用户详情' }
+    })
+    const { tracker, events } = createTracker({ enablePageView: true, globalContextSchema: schema })
+    tracker.init(router)
+
+    expect(events.map(e => e.e)).toEqual(['pv'])
+    expect(events[0].page).toBe('用户详情')
+    expect(sdkContext(events[0])).toMatchObject({ routeTemplate: '/user/:uid' })
+
+    router.navigate({ fullPath: '/about', matched: [{ path: '/about' }], meta: {} }, { fullPath: '/user/42' })
+    expect(events.map(e => e.e)).toEqual(['pv', 'pv'])
+    expect(sdkContext(events[1])).toMatchObject({ routeTemplate: '/about' })
+    tracker.stop()
+  })
+
+  it('skips the landing page view when the route meta sets track: false', () => {
+    const router = createRouter({ fullPath: '/health', matched: [{ path: '/health' }], meta: { track: false } })
+    const { tracker, events } = createTracker({ enablePageView: true })
+    tracker.init(router)
+
+    expect(events).toEqual([])
+    tracker.stop()
+  })
+})
+
+describe('FrontendTracker consent', () => {
+  it('replays events buffered before consent once analytics is granted', () => {
+    const { tracker, events } = createTracker({ requireConsent: true })
+    tracker.init()
+    tracker.trackEvent('ui', 'click', 'before')
+    expect(events).toEqual([])
+
+    tracker.setConsent({ analytics: true })
+    expect(events.map(e => e.se_la)).toEqual(['before'])
+    tracker.stop()
+  })
+
+  it('does not replay events buffered before stop()', () => {
+    const { tracker, events } = createTracker({ requireConsent: true })
+    tracker.init()
+    tracker.trackEvent('ui', 'click', 'before-stop')
+    tracker.stop()
+
+    tracker.init()
+    tracker.setConsent({ analytics: true })
+    tracker.trackEvent('ui', 'click', 'after-restart')
+    expect(events.map(e => e.se_la)).toEqual(['after-restart'])
+    tracker.stop()
+  })
+})
+
+describe('FrontendTracker remote config', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('queues events while loading and sends them under the merged config', async () => {
+    let respond = null
+    vi.stubGlobal('fetch', vi.fn(() => new Promise(resolve => {
+      respond = body => resolve({ ok: true, status: 200, json: () => Promise.resolve(body) })
+    })))
+    const { tracker, events, trackerId } = createTracker({ remoteConfig: { url: 'https://cdn.example.com/cfg.json' } })
+    tracker.init()
+    tracker.trackEvent('ui', 'click', 'queued')
+    tracker.trackPage('https://example.com/', '')
+    expect(events).toEqual([])
+
+    respond({ sampling: { page_view: 0 }, url: 'https://evil.example.com' })
+    await tracker.ready
+    expect(tracker.remoteConfigSource).toBe('remote')
+    expect(tracker.opts.url).toBe('https://collector.example.com')
+    expect(events.map(e => [e.e, e.se_la])).toEqual([['se', 'queued']])
+    tracker.stop()
+    localStorage.removeItem(`FT_REMOTE_CONFIG_${trackerId}`)
+  })
+})
+
+describe('FrontendTracker impressions', () => {
+  it('reads impression attributes under declarativeTrackingOptions.attributePrefix', () => {
+    const { tracker, events } = createTracker({ declarativeTrackingOptions: { attributePrefix: 'data-ft' } })
+    tracker.init()
+    document.body.innerHTML = '<div id="banner" data-ft-category="banner" data-ft-label="spring"></div>'
+    tracker.observeImpressions('#banner')
+
+    expect(events.map(e => [e.se_ca, e.se_ac, e.se_la])).toEqual([['banner', 'expose', 'spring']])
+    tracker.stop()
+    document.body.innerHTML = ''
+  })
+})
@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest'
+import { createBreadcrumbs, describeElement, instrumentBreadcrumbs } from '../src/utils/breadcrumbs'
+
+describe('createBreadcrumbs', () => {
+  it('keeps the latest entries in order', () => {
+    const crumbs = createBreadcrumbs({ max: 3 })
+    for (let i = 1; i <= 5; i++) crumbs.add({ category: 'manual', message: `m${i}`, ts: i })
+    crumbs.add({ message: 'no category' })
+    expect(crumbs.getAll().map(c => c.message)).toEqual(['m3', 'm4', 'm5'])
+    expect(crumbs.size()).toBe(3)
+    crumbs.clear()
+    expect(crumbs.getAll()).toEqual([])
+  })
+
+  it('truncates long messages', () => {
+    const crumbs = createBreadcrumbs()
+    crumbs.add({ category: 'manual', message: 'x'.repeat(500), data: { a: 1 } })
+    const [crumb] = crumbs.getAll()
+    expect(crumb.message).toHaveLength(160)
+    expect(crumb.data).toEqual({ a: 1 })
+  })
+})
+
+describe('describeElement', () => {
+  it('builds a short selector and stops at an id', () => {
+    document.body.innerHTML = '<main id="app"><div class="card primary extra"><button class="btn">Buy</button></div></main>'
+    expect(describeElement(document.querySelector('button'))).toBe('main#app > div.card.primary > button.btn')
+  })
+})
+
+describe('instrumentBreadcrumbs', () => {
+  let off = null
+
+  afterEach(() => {
+    off?.()
+    off = null
+    document.body.innerHTML = ''
+  })
+
+  it('records clicks with the element text', () => {
+    const crumbs = createBreadcrumbs()
+    off = instrumentBreadcrumbs(crumbs, { console: false })
+    document.body.innerHTML = '<button id="buy">  Buy   now </button>'
+    document.getElementById('buy').click()
+    expect(crumbs.getAll()).toMatchObject([{ category: 'click', message: 'button#buy', data: { text: 'Buy now' } }])
+  })
+
+  it('never records form field values', () => {
+    const crumbs = createBreadcrumbs()
+    off = instrumentBreadcrumbs(crumbs, { console: false })
+    document.body.innerHTML = '<input id="pwd" type="password" placeholder="Password"><textarea name="note">secret text</textarea><select aria-label="Plan"><option selected>Gold</option></select>'
+    const input = document.getElementById('pwd')
+    input.value = 'hunter2'
+    input.click()
+    document.querySelector('textarea').click()
+    document.querySelector('select').click()
+    expect(crumbs.getAll().map(c => c.data.text)).toEqual(['Password', 'note', 'Plan'])
+  })
+
+  it('bounds the text read from large elements', () => {
+    const crumbs = createBreadcrumbs()
+    off = instrumentBreadcrumbs(crumbs, { console: false })
+    document.body.innerHTML = `<div id="list">${'<p>item text</p>'.repeat(1000)}</div>`
+    document.getElementById('list').click()
+    expect(crumbs.getAll()[0].data.text.length).toBeLessThanOrEqual(80)
+  })
+
+  it('records console warnings and restores console on teardown', () => {
+    const crumbs = createBreadcrumbs()
+    const original = console.warn
+    const calls = []
+    const stub = (...args) => calls.push(args)
+    console.warn = stub
+    try {
+      off = instrumentBreadcrumbs(crumbs, { click: false })
+      console.warn('slow', { ms: 10 })
+      off()
+      off = null
+      expect(console.warn).toBe(stub)
+      console.warn('after')
+      expect(crumbs.getAll()).toMatchObject([{ category: 'console', message: 'slow {"ms":10}', data: { level: 'warn' } }])
+      expect(calls).toEqual([['slow', { ms: 10 }], ['after']])
+    } finally {
+      console.warn = original
+    }
+  })
+})
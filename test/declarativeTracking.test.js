@@ -0,0 +1,67 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest'
+import { readTrackAttributes, enableDeclarativeTracking } from '../src/utils/declarativeTracking'
+
+function el(html) {
+  const wrapper = document.createElement('div')
+  wrapper.innerHTML = html
+  document.body.appendChild(wrapper)
+  return wrapper.firstElementChild
+}
+
+describe('readTrackAttributes', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('maps fields and merges extra attributes into property', () => {
+    const button = el('<button data-track-category="button" data-track-label="buy" data-track-value="3" data-track-sku="A01" data-track-property=\'{"plan":"pro"}\'>Buy</button>')
+    expect(readTrackAttributes(button)).toEqual({
+      category: 'button',
+      action: 'click',
+      label: 'buy',
+      property: { plan: 'pro', sku: 'A01' },
+      value: 3
+    })
+  })
+
+  it('keeps a plain string property and drops non-numeric values', () => {
+    const link = el('<a data-track-action="open" data-track-property="footer" data-track-value="n/a">x</a>')
+    expect(readTrackAttributes(link)).toEqual({ category: '', action: 'open', label: '', property: 'footer', value: undefined })
+  })
+
+  it('returns null without category or action', () => {
+    expect(readTrackAttributes(el('<div data-track-label="x"></div>'))).toBeNull()
+    expect(readTrackAttributes(null)).toBeNull()
+  })
+
+  it('reads a custom dataset prefix', () => {
+    expect(readTrackAttributes(el('<div data-ga-category="nav" data-track-category="ignored"></div>'), 'ga')).toMatchObject({ category: 'nav' })
+  })
+})
+
+describe('enableDeclarativeTracking', () => {
+  it('tracks clicks on the closest annotated ancestor until disabled', () => {
+    const calls = []
+    const button = el('<button data-track-category="cta" data-track-action="press"><span>Go</span></button>')
+    const off = enableDeclarativeTracking({ onTrack: (params, target) => calls.push([params.category, params.action, target]) })
+
+    button.querySelector('span').click()
+    document.body.click()
+    off()
+    button.click()
+
+    expect(calls).toEqual([['cta', 'press', button]])
+    button.parentNode.remove()
+  })
+
+  it('honours a custom attribute prefix', () => {
+    const calls = []
+    const button = el('<button data-ga-category="nav"></button>')
+    const off = enableDeclarativeTracking({ attributePrefix: 'data-ga', onTrack: params => calls.push(params.category) })
+    button.click()
+    off()
+    expect(calls).toEqual(['nav'])
+    button.parentNode.remove()
+  })
+})
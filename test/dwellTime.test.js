@@ -0,0 +1,74 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createDwellTimer } from '../src/utils/dwellTime'
+
+let visibility = 'visible'
+
+function setVisibility(state) {
+  visibility = state
+  document.dispatchEvent(new Event('visibilitychange'))
+}
+
+describe('createDwellTimer', () => {
+  let reports
+  let timer
+
+  beforeEach(() => {
+    vi.useFakeTimers({ now: 1000 })
+    Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibility })
+    visibility = 'visible'
+    reports = []
+    timer = createDwellTimer({ onReport: d => reports.push(d) })
+  })
+
+  afterEach(() => {
+    timer.stop()
+    vi.useRealTimers()
+    delete document.visibilityState
+  })
+
+  it('reports the previous page on route change', () => {
+    timer.start('https://example.com/a')
+    vi.advanceTimersByTime(3000)
+    timer.change('https://example.com/a?tab=2')
+    timer.change('https://example.com/b')
+    expect(reports).toEqual([
+      { pageUrl: 'https://example.com/a', dwellTime: 3000, hiddenTime: 0, startTime: 1000, endTime: 4000, reason: 'route_change' }
+    ])
+  })
+
+  it('excludes time while the tab is hidden', () => {
+    timer.start('https://example.com/a')
+    vi.advanceTimersByTime(1000)
+    setVisibility('hidden')
+    vi.advanceTimersByTime(5000)
+    setVisibility('visible')
+    vi.advanceTimersByTime(500)
+    timer.stop()
+    expect(reports).toMatchObject([{ dwellTime: 1500, hiddenTime: 5000, reason: 'stop' }])
+  })
+
+  it('reports once on unload and resumes after a bfcache restore', () => {
+    timer.start('https://example.com/a')
+    vi.advanceTimersByTime(200)
+    window.dispatchEvent(new Event('pagehide'))
+    window.dispatchEvent(new Event('beforeunload'))
+    const pageshow = new Event('pageshow')
+    pageshow.persisted = true
+    window.dispatchEvent(pageshow)
+    vi.advanceTimersByTime(100)
+    timer.change('https://example.com/b')
+    expect(reports.map(r => [r.pageUrl, r.dwellTime, r.reason])).toEqual([
+      ['https://example.com/a', 200, 'unload'],
+      ['https://example.com/a', 100, 'route_change']
+    ])
+  })
+
+  it('skips pages below minDwellTime', () => {
+    timer = createDwellTimer({ minDwellTime: 1000, onReport: d => reports.push(d) })
+    timer.start('https://example.com/a')
+    vi.advanceTimersByTime(999)
+    timer.change('https://example.com/b')
+    expect(reports).toEqual([])
+  })
+})
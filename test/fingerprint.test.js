@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { normalizeMessage, normalizeFile, inAppFrames, computeFingerprint, resolveFingerprint } from '../src/utils/fingerprint'
+
+describe('normalizeMessage', () => {
+  it('replaces dynamic parts with placeholders', () => {
+    expect(normalizeMessage('Order 123 failed at https://api.example.com/o/123?x=1')).toBe('Order <n> failed at <url>')
+    expect(normalizeMessage('id 123e4567-e89b-12d3-a456-426614174000 hash 3f2a1c9b7d')).toBe('id <uuid> hash <hex>')
+    expect(normalizeMessage(null)).toBe('')
+  })
+})
+
+describe('normalizeFile', () => {
+  it('drops origin, query and build hashes', () => {
+    expect(normalizeFile('https://cdn.example.com/assets/index.3f2a1c9b.js?v=2')).toBe('/assets/index.<hash>.js')
+    expect(normalizeFile('/js/chunk-5e8a1b2c.min.js#x')).toBe('/js/chunk-<hash>.min.js')
+    expect(normalizeFile('/js/3f2a1c9b7d.js')).toBe('/js/<hash>.js')
+    expect(normalizeFile('/js/app.js')).toBe('/js/app.js')
+  })
+})
+
+describe('inAppFrames', () => {
+  it('skips sdk, extension and file-less frames', () => {
+    const frames = [
+      { function: 'send', file: '/sdk.js', sdk: true },
+      { function: 'inject', file: 'chrome-extension://x/a.js', extension: true },
+      { function: 'native', file: null },
+      { function: 'main', file: '/app.js' }
+    ]
+    expect(inAppFrames(frames)).toEqual([frames[3]])
+    expect(inAppFrames(frames.slice(0, 2))).toEqual(frames.slice(0, 2))
+  })
+})
+
+describe('computeFingerprint', () => {
+  const frames = [{ function: 'handleClick', file: 'https://a.com/assets/app.1a2b3c4d.js', line: 1, column: 10 }]
+
+  it('is stable across dynamic ids, line numbers and builds', () => {
+    const a = computeFingerprint({ type: 'js_error', message: 'Order 1 failed', frames })
+    const b = computeFingerprint({
+      type: 'js_error',
+      message: 'Order 2 failed',
+      frames: [{ function: 'handleClick', file: 'https://b.com/assets/app.9f8e7d6c.js', line: 7, column: 3 }]
+    })
+    expect(a).toBe(b)
+    expect(a).toMatch(/^[0-9a-f]{16}$/)
+    expect(computeFingerprint({ type: 'js_error', message: 'Other', frames })).not.toBe(a)
+  })
+
+  it('ignores minified function names in auto mode', () => {
+    const minified = name => computeFingerprint({ message: 'x', frames: [{ function: name, file: '/app.min.js' }] })
+    expect(minified('n')).toBe(minified('Oe'))
+    const short = name => computeFingerprint({ message: 'x', frames: [{ function: name, file: '/app.js' }] })
+    expect(short('n')).toBe(short('r'))
+    expect(short('handleClick')).not.toBe(short('submitForm'))
+    const keep = name => computeFingerprint({ message: 'x', frames: [{ function: name, file: '/app.min.js' }] }, { functionNames: true })
+    expect(keep('n')).not.toBe(keep('Oe'))
+  })
+})
+
+describe('resolveFingerprint', () => {
+  it('applies the hook result or falls back to the default', () => {
+    const errors = []
+    expect(resolveFingerprint(null, null, {}, 'def')).toBe('def')
+    expect(resolveFingerprint(() => 'custom', null, {}, 'def')).toBe('custom')
+    expect(resolveFingerprint(() => ['a', 'b'], null, {}, 'def')).toMatch(/^[0-9a-f]{16}$/)
+    expect(resolveFingerprint((err, info) => info.defaultFingerprint + '-x', null, {}, 'def')).toBe('def-x')
+    expect(resolveFingerprint(() => '', null, {}, 'def')).toBe('def')
+    expect(resolveFingerprint(() => { throw new Error('boom') }, null, {}, 'def', e => errors.push(e.message))).toBe('def')
+    expect(errors).toEqual(['boom'])
+  })
+})
@@ -0,0 +1,32 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest'
+import { createImpressionTracker } from '../src/utils/impressions'
+
+// jsdom 没有 IntersectionObserver，observe 时立即上报，便于只验证参数
+function element(html) {
+  document.body.innerHTML = html
+  return document.body.firstElementChild
+}
+
+describe('createImpressionTracker', () => {
+  afterEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  it('reads data-track-* attributes by default', () => {
+    const reported = []
+    const impressions = createImpressionTracker({ onImpression: params => reported.push(params) })
+    impressions.observe(element('<div data-track-category="banner" data-track-label="spring"></div>'))
+
+    expect(reported).toEqual([{ category: 'banner', action: 'expose', label: 'spring', property: '', value: undefined }])
+  })
+
+  it('reads attributes under the configured prefix', () => {
+    const reported = []
+    const impressions = createImpressionTracker({ onImpression: params => reported.push(params) })
+    const el = element('<div data-ft-category="banner" data-ft-label="spring" data-track-label="ignored"></div>')
+    impressions.observe(el, { attributePrefix: 'data-ft' })
+
+    expect(reported).toEqual([{ category: 'banner', action: 'expose', label: 'spring', property: '', value: undefined }])
+  })
+})
@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createInspector } from '../src/utils/inspector'
+
+function rowTypes() {
+  return [...document.querySelectorAll('#__ft_inspector__ details')].map(row => row.querySelectorAll('summary span')[2].textContent.trim())
+}
+
+describe('createInspector', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    document.body.innerHTML = ''
+  })
+
+  it('keeps expanded rows open when new records arrive', () => {
+    vi.useFakeTimers()
+    const inspector = createInspector()
+    inspector.open()
+    inspector.record({ source: 'tracker', type: 'page_view', status: 'sent' })
+    vi.advanceTimersByTime(50)
+
+    const first = document.querySelector('#__ft_inspector__ details')
+    first.open = true
+    inspector.record({ source: 'tracker', type: 'struct', status: 'sent' })
+    vi.advanceTimersByTime(50)
+
+    expect(rowTypes()).toEqual(['struct', 'page_view'])
+    expect(document.querySelectorAll('#__ft_inspector__ details')[1]).toBe(first)
+    expect(first.open).toBe(true)
+    inspector.close()
+  })
+
+  it('drops rows of evicted records and restores filtered rows', () => {
+    vi.useFakeTimers()
+    const inspector = createInspector({ maxRecords: 2 })
+    inspector.open()
+    ;['page_view', 'struct', 'error'].forEach(type => inspector.record({ source: 'tracker', type, status: type === 'error' ? 'failed' : 'sent' }))
+    vi.advanceTimersByTime(50)
+    expect(rowTypes()).toEqual(['error', 'struct'])
+
+    const status = document.querySelectorAll('#__ft_inspector__ select')[1]
+    status.value = 'failed'
+    status.dispatchEvent(new Event('change'))
+    expect(rowTypes()).toEqual(['error'])
+    status.value = ''
+    status.dispatchEvent(new Event('change'))
+    expect(rowTypes()).toEqual(['error', 'struct'])
+    inspector.close()
+  })
+})
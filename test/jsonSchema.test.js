@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest'
+import { validateJsonSchema, isIgluUri } from '../src/utils/jsonSchema'
+import { useSchemaRegistry } from '../src/hooks/useSchemaRegistry'
+
+const URI = 'iglu:com.example/checkout/jsonschema/1-0-0'
+
+describe('validateJsonSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['id', 'items'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', minLength: 2, pattern: '^o_' },
+      amount: { type: 'number', minimum: 0, exclusiveMaximum: 1000 },
+      currency: { enum: ['CNY', 'USD'] },
+      items: { type: 'array', minItems: 1, items: { type: 'integer' } }
+    }
+  }
+
+  it('passes valid data', () => {
+    expect(validateJsonSchema(schema, { id: 'o_1', amount: 10, currency: 'CNY', items: [1, 2] })).toEqual([])
+  })
+
+  it('reports errors with json paths', () => {
+    const errors = validateJsonSchema(schema, { id: 'x', amount: 1000, currency: 'EUR', items: [1.5], extra: true })
+    expect(errors).toEqual([
+      '$.id: shorter than 2',
+      '$.id: does not match ^o_',
+      '$.amount: must be < 1000',
+      '$.currency: must be one of ["CNY","USD"]',
+      '$.items[0]: expected integer, got number',
+      '$.extra: additional property not allowed'
+    ])
+  })
+
+  it('reports missing required properties', () => {
+    expect(validateJsonSchema(schema, { id: 'o_1' })).toEqual(['$.items: is required'])
+  })
+
+  it('stops at a type mismatch', () => {
+    expect(validateJsonSchema(schema, [])).toEqual(['$: expected object, got array'])
+    expect(validateJsonSchema({ type: ['string', 'null'] }, null)).toEqual([])
+  })
+
+  it('supports draft-04 boolean exclusiveMinimum', () => {
+    const s = { type: 'number', minimum: 0, exclusiveMinimum: true }
+    expect(validateJsonSchema(s, 0)).toEqual(['$: below minimum 0'])
+    expect(validateJsonSchema(s, 1)).toEqual([])
+  })
+
+  it('combines anyOf / oneOf / allOf', () => {
+    expect(validateJsonSchema({ anyOf: [{ type: 'string' }, { type: 'number' }] }, true)).toEqual(['$: does not match anyOf'])
+    expect(validateJsonSchema({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1)).toEqual([
+      '$: must match exactly one of oneOf (matched 2)'
+    ])
+    expect(validateJsonSchema({ allOf: [{ type: 'string' }, { maxLength: 1 }] }, 'ab')).toEqual(['$: longer than 1'])
+  })
+
+  it('ignores unknown keywords and invalid patterns', () => {
+    expect(validateJsonSchema({ type: 'string', format: 'email', pattern: '(' }, 'a')).toEqual([])
+  })
+})
+
+describe('isIgluUri', () => {
+  it('accepts iglu uris only', () => {
+    expect(isIgluUri(URI)).toBe(true)
+    expect(isIgluUri('iglu:com.example/checkout/jsonschema/1-0')).toBe(false)
+    expect(isIgluUri('no-schema')).toBe(false)
+  })
+})
+
+describe('useSchemaRegistry', () => {
+  it('validates registered schemas only', () => {
+    const registry = useSchemaRegistry({ schemas: { [URI]: { type: 'object', required: ['id'] } } })
+    expect(registry.has(URI)).toBe(true)
+    expect(registry.validate(URI, { id: 1 })).toEqual({ valid: true, errors: [] })
+    expect(registry.validate(URI, {})).toEqual({ valid: false, errors: ['$.id: is required'] })
+    expect(registry.validate('iglu:com.example/other/jsonschema/1-0-0', {})).toBeNull()
+  })
+
+  it('rejects invalid uris on register and skips them in initial schemas', () => {
+    const registry = useSchemaRegistry({ schemas: { 'bad-uri': {} } })
+    expect(registry.has('bad-uri')).toBe(false)
+    expect(() => registry.register('bad-uri', {})).toThrow('[FrontendTracker]: invalid iglu uri')
+    registry.register(URI, {})
+    registry.unregister(URI)
+    expect(registry.has(URI)).toBe(false)
+  })
+})
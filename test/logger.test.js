@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createLogger } from '../src/utils/logger'
+
+function collect(options = {}) {
+  const records = []
+  const logger = createLogger({ sink: r => records.push(r), ...options })
+  return { logger, records }
+}
+
+describe('createLogger', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('drops records below the current level', () => {
+    const { logger, records } = collect({ level: 'warn' })
+    logger.debug('d')
+    logger.info('i')
+    logger.warn('w', 1)
+    logger.error('e')
+    expect(records.map(r => [r.level, r.namespace, r.args])).toEqual([
+      ['warn', 'tracker', ['w', 1]],
+      ['error', 'tracker', ['e']]
+    ])
+    expect(logger.isEnabled('warn')).toBe(true)
+    expect(logger.isEnabled('info')).toBe(false)
+  })
+
+  it('defaults to error and ignores unknown levels', () => {
+    const { logger, records } = collect({ level: 'verbose' })
+    logger.warn('w')
+    logger.setLevel('nope')
+    logger.error('e')
+    expect(records.map(r => r.level)).toEqual(['error'])
+  })
+
+  it('shares level and sink with child loggers', () => {
+    const { logger, records } = collect({ level: 'silent' })
+    const router = logger.child('router')
+    expect(logger.child('router')).toBe(router)
+    router.error('hidden')
+    logger.setLevel('debug')
+    router.debug('shown')
+    expect(records.map(r => [r.namespace, r.args[0]])).toEqual([['router', 'shown']])
+  })
+
+  it('writes to the console with a namespaced prefix by default', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    createLogger({ level: 'warn' }).child('transport').warn('failed', 42)
+    expect(warn).toHaveBeenCalledWith('[FrontendTracker:transport]', 'failed', 42)
+  })
+
+  it('never throws from a failing sink', () => {
+    const logger = createLogger({ sink: () => { throw new Error('sink') } })
+    expect(() => logger.error('e')).not.toThrow()
+  })
+})
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import { runMiddlewares } from '../src/utils/middleware'
+
+describe('runMiddlewares', () => {
+  const event = { type: 'struct', category: 'ui', action: 'click' }
+
+  it('replaces, mutates or passes the event through in order', () => {
+    const ctx = {}
+    const calls = []
+    const result = runMiddlewares([
+      (e, c) => { calls.push(c); return { ...e, label: 'a' } },
+      e => { e.value = 1 },
+      e => e
+    ], event, ctx)
+    expect(result).toEqual({ ...event, label: 'a', value: 1 })
+    expect(event.label).toBeUndefined()
+    expect(calls).toEqual([ctx])
+  })
+
+  it('drops the event on null or false', () => {
+    let reached = false
+    expect(runMiddlewares([() => null, () => { reached = true }], event)).toBeNull()
+    expect(runMiddlewares([() => false], event)).toBeNull()
+    expect(reached).toBe(false)
+  })
+
+  it('skips middlewares that throw', () => {
+    const errors = []
+    const result = runMiddlewares([
+      () => { throw new Error('boom') },
+      e => ({ ...e, label: 'b' })
+    ], event, null, (msg, e) => errors.push([msg, e.message]))
+    expect(result).toMatchObject({ label: 'b' })
+    expect(errors).toEqual([['middleware threw, skipped', 'boom']])
+  })
+})
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { rateMetric, summarizeNavigation, summarizeResources, createPerformanceMonitor } from '../src/utils/performance'
+
+describe('rateMetric', () => {
+  it('rates by the web.dev thresholds', () => {
+    expect(rateMetric('LCP', 2500)).toBe('good')
+    expect(rateMetric('LCP', 2501)).toBe('needs-improvement')
+    expect(rateMetric('CLS', 0.3)).toBe('poor')
+    expect(rateMetric('INP', 200)).toBe('good')
+    expect(rateMetric('FID', 10)).toBeUndefined()
+  })
+})
+
+describe('summarizeNavigation', () => {
+  it('computes phase durations and skips missing phases', () => {
+    expect(summarizeNavigation({
+      type: 'navigate',
+      redirectStart: 0,
+      redirectEnd: 0,
+      domainLookupStart: 10,
+      domainLookupEnd: 30,
+      connectStart: 30,
+      secureConnectionStart: 40,
+      connectEnd: 60,
+      requestStart: 61,
+      responseStart: 161.4,
+      responseEnd: 200,
+      domInteractive: 500.2,
+      domContentLoadedEventEnd: 600,
+      loadEventEnd: 900,
+      transferSize: 1024,
+      nextHopProtocol: 'h2'
+    })).toEqual({
+      navigationType: 'navigate',
+      redirect: null,
+      dns: 20,
+      tcp: 30,
+      tls: 20,
+      ttfb: 100,
+      download: 39,
+      domInteractive: 500,
+      domContentLoaded: 600,
+      load: 900,
+      transferSize: 1024,
+      protocol: 'h2'
+    })
+    expect(summarizeNavigation(null)).toBeNull()
+  })
+})
+
+describe('summarizeResources', () => {
+  it('groups by initiator type and lists the slowest entries', () => {
+    const summary = summarizeResources([
+      { name: 'a.js', initiatorType: 'script', duration: 120.4, transferSize: 1000 },
+      { name: 'b.css', initiatorType: 'link', duration: 30, transferSize: 200 },
+      { name: 'c.js', initiatorType: 'script', duration: 300, transferSize: 0 },
+      { name: 'd', duration: 5 }
+    ], 2)
+    expect(summary).toEqual({
+      count: 4,
+      transferSize: 1200,
+      byType: {
+        script: { count: 2, transferSize: 1000, duration: 420 },
+        link: { count: 1, transferSize: 200, duration: 30 },
+        other: { count: 1, transferSize: 0, duration: 5 }
+      },
+      slowest: [
+        { name: 'c.js', initiatorType: 'script', duration: 300, transferSize: 0 },
+        { name: 'a.js', initiatorType: 'script', duration: 120, transferSize: 1000 }
+      ]
+    })
+  })
+})
+
+describe('createPerformanceMonitor', () => {
+  it('is a no-op without browser performance APIs', () => {
+    const reports = []
+    const monitor = createPerformanceMonitor({ onReport: d => reports.push(d) })
+    expect(() => {
+      monitor.start()
+      monitor.markRouteChange('https://example.com/next')
+      monitor.stop()
+    }).not.toThrow()
+    expect(reports).toEqual([])
+  })
+})
@@ -0,0 +1,89 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeAll, afterEach } from 'vitest'
+import { createElement, act } from 'react'
+import { createRoot } from 'react-dom/client'
+import { TrackerProvider, useTracker, useTrackPageViews, TrackingErrorBoundary } from '../src/react'
+
+let root = null
+let container = null
+
+function render(element) {
+  container = document.createElement('div')
+  document.body.appendChild(container)
+  root = createRoot(container)
+  act(() => root.render(element))
+}
+
+function fakeTracker() {
+  return { reportJsError: vi.fn(), trackRouteChange: vi.fn() }
+}
+
+describe('react integration', () => {
+  beforeAll(() => {
+    globalThis.IS_REACT_ACT_ENVIRONMENT = true
+  })
+
+  afterEach(() => {
+    act(() => root.unmount())
+    container.remove()
+    vi.restoreAllMocks()
+  })
+
+  it('provides the tracker through context', () => {
+    const tracker = fakeTracker()
+    let received = null
+    function Child() {
+      received = useTracker()
+      return null
+    }
+    render(createElement(TrackerProvider, { tracker }, createElement(Child)))
+    expect(received).toBe(tracker)
+  })
+
+  it('throws when useTracker is used outside a provider', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    function Child() {
+      useTracker()
+      return null
+    }
+    expect(() => render(createElement(Child))).toThrow('useTracker must be used within <TrackerProvider>')
+  })
+
+  it('reports render errors and renders the fallback', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const tracker = fakeTracker()
+    const onError = vi.fn()
+    function Broken() {
+      throw new Error('render failed')
+    }
+    render(createElement(TrackerProvider, { tracker },
+      createElement(TrackingErrorBoundary, { fallback: err => `oops: ${err.message}`, meta: { page: 'home' }, onError },
+        createElement(Broken))))
+
+    expect(container.textContent).toBe('oops: render failed')
+    expect(tracker.reportJsError).toHaveBeenCalledTimes(1)
+    const [error, meta, schema] = tracker.reportJsError.mock.calls[0]
+    expect(error.message).toBe('render failed')
+    expect(meta).toMatchObject({ source: 'react', page: 'home' })
+    expect(meta.componentStack).toContain('Broken')
+    expect(schema).toBeNull()
+    expect(onError).toHaveBeenCalledTimes(1)
+  })
+
+  it('tracks location changes as page views', () => {
+    const tracker = fakeTracker()
+    function Pages({ location }) {
+      useTrackPageViews(location, { tracker })
+      return null
+    }
+    render(createElement(Pages, { location: { pathname: '/a', search: '?x=1', hash: '' } }))
+    act(() => root.render(createElement(Pages, { location: { pathname: '/a', search: '?x=1', hash: '' } })))
+    act(() => root.render(createElement(Pages, { location: { pathname: '/b', search: '', hash: '' } })))
+
+    const origin = window.location.origin
+    expect(tracker.trackRouteChange.mock.calls).toEqual([
+      [`${origin}/a?x=1`, ''],
+      [`${origin}/b`, `${origin}/a?x=1`]
+    ])
+  })
+})
@@ -0,0 +1,76 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { loadRemoteConfig, mergeRemoteConfig } from '../src/utils/remoteConfig'
+
+function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial))
+  return {
+    getItem: k => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v))
+  }
+}
+
+const jsonResponse = body => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) })
+
+describe('mergeRemoteConfig', () => {
+  it('applies allowlisted keys and ignores fields that decide where data goes', () => {
+    const local = { url: 'https://collector.example.com', headers: { a: '1' }, linkTrack: true, sampling: { page_view: 1 } }
+    const merged = mergeRemoteConfig(local, {
+      url: 'https://evil.example.com',
+      headers: { a: '2' },
+      otherOptions: { eventMethod: 'get' },
+      linkTrack: false,
+      sampling: { activity: 0 }
+    })
+    expect(merged).toEqual({ url: 'https://collector.example.com', headers: { a: '1' }, linkTrack: false, sampling: { page_view: 1, activity: 0 } })
+  })
+
+  it('takes only allowlisted errorHandlerOptions keys', () => {
+    const send = () => {}
+    const local = { errorHandlerOptions: { rateLimitPerMinute: 300, send } }
+    const merged = mergeRemoteConfig(local, {
+      errorHandlerOptions: { rateLimitPerMinute: 30, ignoreErrors: ['ResizeObserver loop'], send: 'x', trackers: ['other'], requestId: 'r' }
+    })
+    expect(merged.errorHandlerOptions).toEqual({ rateLimitPerMinute: 30, ignoreErrors: ['ResizeObserver loop'], send })
+    expect(mergeRemoteConfig(local, { errorHandlerOptions: null })).toEqual(local)
+  })
+})
+
+describe('loadRemoteConfig', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+  })
+
+  it('returns the remote config and caches it', async () => {
+    const storage = memoryStorage()
+    vi.stubGlobal('localStorage', storage)
+    vi.stubGlobal('fetch', vi.fn(() => jsonResponse({ linkTrack: false })))
+
+    await expect(loadRemoteConfig({ url: '/cfg.json', cacheKey: 'k' })).resolves.toEqual({ config: { linkTrack: false }, source: 'remote' })
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ linkTrack: false })
+  })
+
+  it('falls back to the cached config, then to local, when the request fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: false, status: 500 })))
+    vi.stubGlobal('localStorage', memoryStorage({ k: JSON.stringify({ linkTrack: false }) }))
+    await expect(loadRemoteConfig({ url: '/cfg.json', cacheKey: 'k' })).resolves.toEqual({ config: { linkTrack: false }, source: 'cache' })
+
+    vi.stubGlobal('localStorage', memoryStorage())
+    await expect(loadRemoteConfig({ url: '/cfg.json', cacheKey: 'k' })).resolves.toEqual({ config: null, source: 'local' })
+  })
+
+  it('gives up after the timeout and aborts the request', async () => {
+    vi.useFakeTimers()
+    vi.stubGlobal('localStorage', memoryStorage({ k: JSON.stringify({ debug: true }) }))
+    let signal = null
+    vi.stubGlobal('fetch', vi.fn((url, init) => {
+      signal = init.signal
+      return new Promise(() => {})
+    }))
+
+    const result = loadRemoteConfig({ url: '/cfg.json', cacheKey: 'k', timeout: 500 })
+    await vi.advanceTimersByTimeAsync(500)
+    await expect(result).resolves.toEqual({ config: { debug: true }, source: 'cache' })
+    expect(signal.aborted).toBe(true)
+  })
+})
@@ -0,0 +1,174 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  buildRouteUrl,
+  splitPath,
+  createUniAdapter,
+  createTaroH5Adapter,
+  createAppRouteAdapter,
+  getAvailableRouteAdapters,
+  getCurrentRouteUrl
+} from '../src/utils/routeAdapters'
+import { miniProgramFetch } from '../src/utils/serverTransport'
+import { FrontendTracker } from '../src/FrontendTracker'
+
+function fakeAppRouteApi() {
+  const handlers = new Set()
+  return {
+    onAppRoute: vi.fn(fn => handlers.add(fn)),
+    offAppRoute: vi.fn(fn => handlers.delete(fn)),
+    route: (res) => handlers.forEach(fn => fn(res)),
+    handlers
+  }
+}
+
+afterEach(() => {
+  delete globalThis.getCurrentPages
+  delete globalThis.wx
+  vi.useRealTimers()
+})
+
+describe('buildRouteUrl / splitPath', () => {
+  it('builds a relative url from path and query', () => {
+    expect(buildRouteUrl('pages/a/a', { id: 1, q: 'a b', empty: null })).toBe('/pages/a/a?id=1&q=a%20b')
+    expect(buildRouteUrl('/pages/a?x=1', { y: 2 })).toBe('/pages/a?x=1&y=2')
+    expect(buildRouteUrl('/pages/a', {})).toBe('/pages/a')
+  })
+
+  it('splits the query out of a path', () => {
+    expect(splitPath('/pages/a?id=1&q=a%20b&flag')).toEqual({ path: '/pages/a', query: { id: '1', q: 'a b', flag: '' } })
+    expect(splitPath('/pages/a?bad=%E0')).toEqual({ path: '/pages/a', query: { bad: '%E0' } })
+    expect(splitPath(null)).toEqual({ path: '', query: {} })
+  })
+})
+
+describe('createAppRouteAdapter', () => {
+  it('maps openType to navigationType and unsubscribes', () => {
+    const api = fakeAppRouteApi()
+    const adapter = createAppRouteAdapter(api)
+    const emitted = []
+    expect(adapter.isAvailable()).toBe(true)
+    const off = adapter.subscribe(change => emitted.push(change))
+
+    api.route({ path: 'pages/detail/detail', query: { id: '1' }, openType: 'navigateTo' })
+    api.route({ path: 'pages/list/list', openType: 'navigateBack' })
+    api.route({ path: 'pages/tab/tab', openType: 'switchTab' })
+    api.route({ path: 'pages/home/home', openType: 'appLaunch' })
+    api.route({ path: 'pages/x/x', openType: 'somethingNew' })
+    api.route({})
+    off()
+    api.route({ path: 'pages/after/after', openType: 'navigateTo' })
+
+    expect(emitted).toEqual([
+      { path: 'pages/detail/detail', query: { id: '1' }, navigationType: 'push' },
+      { path: 'pages/list/list', query: {}, navigationType: 'pop' },
+      { path: 'pages/tab/tab', query: {}, navigationType: 'replace' },
+      { path: 'pages/home/home', query: {}, navigationType: 'framework' },
+      { path: 'pages/x/x', query: {}, navigationType: 'framework' }
+    ])
+    expect(api.handlers.size).toBe(0)
+  })
+
+  it('is unavailable without an onAppRoute api', () => {
+    expect(createAppRouteAdapter().isAvailable()).toBe(false)
+    expect(getAvailableRouteAdapters([createAppRouteAdapter(), null, { subscribe: () => {}, isAvailable: () => { throw new Error('x') } }])).toEqual([])
+  })
+})
+
+describe('createUniAdapter', () => {
+  it('reads the page stack after each navigation and removes interceptors', () => {
+    vi.useFakeTimers()
+    const interceptors = new Map()
+    const uni = {
+      addInterceptor: vi.fn((api, interceptor) => interceptors.set(api, interceptor)),
+      removeInterceptor: vi.fn((api) => interceptors.delete(api))
+    }
+    globalThis.getCurrentPages = () => [{ route: 'pages/index/index', options: {} }, { route: 'pages/detail/detail', options: { id: '7' } }]
+    const adapter = createUniAdapter(uni)
+    const emitted = []
+    expect(adapter.isAvailable()).toBe(true)
+    const off = adapter.subscribe(change => emitted.push(change))
+    expect([...interceptors.keys()].sort()).toEqual(['navigateBack', 'navigateTo', 'reLaunch', 'redirectTo', 'switchTab'])
+
+    interceptors.get('redirectTo').success()
+    expect(emitted).toEqual([])
+    vi.runAllTimers()
+    expect(emitted).toEqual([{ path: 'pages/detail/detail', query: { id: '7' }, navigationType: 'replace' }])
+
+    off()
+    expect(interceptors.size).toBe(0)
+  })
+})
+
+describe('createTaroH5Adapter', () => {
+  it('emits paths with query from router change events', () => {
+    const listeners = new Map()
+    const taro = {
+      eventCenter: {
+        on: (name, fn) => listeners.set(name, fn),
+        off: (name) => listeners.delete(name)
+      },
+      getCurrentInstance: () => ({ router: { path: '/pages/home/index?x=1', params: { x: '1' } } })
+    }
+    const adapter = createTaroH5Adapter(taro)
+    const emitted = []
+    const off = adapter.subscribe(change => emitted.push(change))
+
+    listeners.get('__taroRouterChange')({ toLocation: { path: '/pages/detail/index?id=3' } })
+    listeners.get('__taroRouterChange')({})
+    off()
+
+    expect(emitted).toEqual([
+      { path: '/pages/detail/index', query: { id: '3' } },
+      { path: '/pages/home/index', query: { x: '1' } }
+    ])
+    expect(listeners.size).toBe(0)
+    expect(adapter.getCurrent()).toEqual({ path: '/pages/home/index', query: { x: '1' } })
+  })
+})
+
+describe('getCurrentRouteUrl', () => {
+  it('falls back to getCurrentPages() and skips failing adapters', () => {
+    globalThis.getCurrentPages = () => [{ $page: { path: 'pages/cart/cart', options: { from: 'tab' } } }]
+    const broken = { getCurrent: () => { throw new Error('x') } }
+    expect(getCurrentRouteUrl([broken, { getCurrent: () => null }, createAppRouteAdapter(fakeAppRouteApi())])).toBe('/pages/cart/cart?from=tab')
+    delete globalThis.getCurrentPages
+    expect(getCurrentRouteUrl([createAppRouteAdapter(fakeAppRouteApi())])).toBeNull()
+  })
+})
+
+describe('miniProgramFetch', () => {
+  it('wraps request callbacks into a fetch-like promise', async () => {
+    const request = vi.fn(opts => opts.success({ statusCode: 204 }))
+    const res = await miniProgramFetch({ request })('https://log.example.com', { method: 'POST', headers: { a: '1' }, body: '[]' })
+    expect(res).toEqual({ ok: true, status: 204 })
+    expect(request.mock.calls[0][0]).toMatchObject({ url: 'https://log.example.com', method: 'POST', header: { a: '1' }, headers: { a: '1' }, data: '[]' })
+
+    const failing = miniProgramFetch({ request: opts => opts.fail({ errMsg: 'request:fail timeout' }) })
+    await expect(failing('https://log.example.com')).rejects.toThrow('request:fail timeout')
+  })
+})
+
+describe('FrontendTracker in a mini-program', () => {
+  it('sends page views for onAppRoute navigations through wx.request', async () => {
+    const api = fakeAppRouteApi()
+    const bodies = []
+    api.request = vi.fn(opts => {
+      bodies.push(JSON.parse(opts.data))
+      opts.success({ statusCode: 200 })
+    })
+    globalThis.wx = api
+    globalThis.getCurrentPages = () => [{ route: 'pages/index/index', options: { scene: '1001' } }]
+
+    const tracker = new FrontendTracker({ url: 'https://log.example.com/v1', appId: 'mp', trackerId: 'mp_wx', enableErrHandler: false }).init()
+    api.route({ path: 'pages/detail/detail', query: { id: '9' }, openType: 'navigateTo' })
+    await tracker.flush()
+    tracker.stop()
+
+    expect(bodies.map(b => [b[0].eventType, b[0].url, b[0].referrer, b[0].p])).toEqual([
+      ['page_view', '/pages/index/index?scene=1001', null, 'mob'],
+      ['page_view', '/pages/detail/detail?id=9', '/pages/index/index?scene=1001', 'mob']
+    ])
+    expect(api.request.mock.calls[0][0]).toMatchObject({ url: 'https://log.example.com/v1', method: 'POST' })
+    expect(api.handlers.size).toBe(0)
+  })
+})
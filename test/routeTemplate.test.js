@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import { detectRouteTemplate, matchRouteRule, resolveRoute, routeFromVueRouter } from '../src/utils/routeTemplate'
+
+describe('detectRouteTemplate', () => {
+  it('replaces ids, uuids and hashes', () => {
+    expect(detectRouteTemplate('/user/123/order/456')).toBe('/user/:id/order/:id')
+    expect(detectRouteTemplate('/doc/123e4567-e89b-12d3-a456-426614174000')).toBe('/doc/:uuid')
+    expect(detectRouteTemplate('/file/0123456789abcdef0123')).toBe('/file/:hash')
+    expect(detectRouteTemplate('/share/V1StGXR8_Z5jdHi6B-myT')).toBe('/share/:hash')
+    expect(detectRouteTemplate('/about/v2')).toBe('/about/v2')
+  })
+})
+
+describe('matchRouteRule', () => {
+  const rules = [
+    { pattern: '/user/:id/order/:orderId', name: 'order' },
+    { pattern: /^\/post\/\d+$/, template: '/post/:id' },
+    { pattern: '/static/*', track: false }
+  ]
+
+  it('matches string and RegExp patterns', () => {
+    expect(matchRouteRule('/user/1/order/2/', rules)).toMatchObject({ template: '/user/:id/order/:orderId', name: 'order' })
+    expect(matchRouteRule('/post/7', rules)).toMatchObject({ template: '/post/:id' })
+    expect(matchRouteRule('/static/a/b.png', rules)).toMatchObject({ track: false })
+    expect(matchRouteRule('/user/1', rules)).toBeNull()
+  })
+})
+
+describe('resolveRoute', () => {
+  const rules = [{ pattern: '/user/:uid', name: 'user' }]
+
+  it('prefers the framework route, then rules, then auto detection', () => {
+    expect(resolveRoute('http://a.com/user/1?x=1', { template: '/user/:userId', name: 'profile' }, { rules })).toEqual({
+      path: '/user/1',
+      template: '/user/:userId',
+      name: 'profile',
+      track: true
+    })
+    expect(resolveRoute('http://a.com/user/1', null, { rules })).toMatchObject({ template: '/user/:uid', name: 'user' })
+    expect(resolveRoute('http://a.com/item/9', null, { rules })).toMatchObject({ template: '/item/:id', name: null })
+    expect(resolveRoute('http://a.com/item/9', null, { auto: false })).toMatchObject({ template: '/item/9' })
+  })
+
+  it('uses the hash route path', () => {
+    expect(resolveRoute('http://a.com/#/item/9?x=1').path).toBe('/item/9')
+  })
+})
+
+describe('routeFromVueRouter', () => {
+  it('reads the last matched record and meta', () => {
+    const to = { matched: [{ path: '/user' }, { path: '/user/:id' }], meta: { pageName: 'User', track: false } }
+    expect(routeFromVueRouter(to)).toEqual({ template: '/user/:id', name: 'User', track: false })
+    expect(routeFromVueRouter(null)).toBeNull()
+  })
+})
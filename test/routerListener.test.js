@@ -0,0 +1,70 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { initRouterListener, normalizePath } from '../src/utils/routerListener'
+
+const origin = window.location.origin
+// 不经过 patch 直接修改地址，用于模拟浏览器前进后退
+const rawPushState = (url) => History.prototype.pushState.call(history, {}, '', url)
+
+describe('initRouterListener', () => {
+  let changes
+  let off
+
+  beforeEach(() => {
+    rawPushState('/start')
+    changes = []
+    off = initRouterListener(change => changes.push(change))
+  })
+
+  afterEach(() => {
+    off?.()
+  })
+
+  const summary = () => changes.map(c => [c.navigationType, c.from, c.to, c.soft])
+
+  it('emits structured push / replace changes', () => {
+    history.pushState({}, '', '/a')
+    history.replaceState({}, '', '/b')
+    expect(summary()).toEqual([
+      ['push', `${origin}/start`, `${origin}/a`, true],
+      ['replace', `${origin}/a`, `${origin}/b`, true]
+    ])
+    expect(typeof changes[0].timestamp).toBe('number')
+  })
+
+  it('ignores query-only changes but uses the latest url as the next from', () => {
+    history.pushState({}, '', '/start?tab=2')
+    history.pushState({}, '', '/next')
+    expect(summary()).toEqual([['push', `${origin}/start?tab=2`, `${origin}/next`, true]])
+  })
+
+  it('maps popstate and hashchange', () => {
+    rawPushState('/back')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+    rawPushState('/back#/detail')
+    window.dispatchEvent(new HashChangeEvent('hashchange'))
+    expect(summary().map(c => c[0])).toEqual(['pop', 'hash'])
+  })
+
+  it('emits a single hard navigation on unload', () => {
+    window.dispatchEvent(new Event('pagehide'))
+    window.dispatchEvent(new Event('beforeunload'))
+    expect(summary()).toEqual([['unload', `${origin}/start`, null, false]])
+  })
+
+  it('stops listening and restores the History API', () => {
+    off()
+    off = null
+    expect(history.pushState).toBe(History.prototype.pushState)
+    history.pushState({}, '', '/after')
+    expect(changes).toEqual([])
+  })
+})
+
+describe('normalizePath', () => {
+  it('returns the route part of a url', () => {
+    expect(normalizePath('https://example.com/a/b?x=1')).toBe('/a/b')
+    expect(normalizePath('https://example.com/app/#/detail?id=1')).toBe('/detail')
+    expect(normalizePath('https://example.com/a#section')).toBe('/a')
+  })
+})
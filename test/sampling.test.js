@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { hashToUnit, resolveSampleRate, isSampledIn } from '../src/utils/sampling'
+
+describe('resolveSampleRate', () => {
+  it('falls back to default and clamps invalid values', () => {
+    const rules = { activity: 0.1, link: 2, error: -1, struct: 'x', default: 0.5 }
+    expect(resolveSampleRate(rules, 'activity')).toBe(0.1)
+    expect(resolveSampleRate(rules, 'page_view')).toBe(0.5)
+    expect(resolveSampleRate(rules, 'link')).toBe(1)
+    expect(resolveSampleRate(rules, 'error')).toBe(0)
+    expect(resolveSampleRate(rules, 'struct')).toBe(1)
+    expect(resolveSampleRate({}, 'activity')).toBe(1)
+    expect(resolveSampleRate(null, 'activity')).toBe(1)
+  })
+})
+
+describe('isSampledIn', () => {
+  it('is deterministic per seed', () => {
+    const unit = hashToUnit('session-1')
+    expect(unit).toBeGreaterThanOrEqual(0)
+    expect(unit).toBeLessThan(1)
+    expect(isSampledIn(unit + 0.0001, 'session-1')).toBe(true)
+    expect(isSampledIn(unit, 'session-1')).toBe(false)
+    expect(isSampledIn(1, 'any')).toBe(true)
+    expect(isSampledIn(0, 'any')).toBe(false)
+  })
+
+  it('keeps lower rates a subset of higher rates', () => {
+    const seeds = Array.from({ length: 200 }, (_, i) => `seed-${i}`)
+    const low = seeds.filter(s => isSampledIn(0.1, s))
+    const high = seeds.filter(s => isSampledIn(0.5, s))
+    expect(low.every(s => high.includes(s))).toBe(true)
+    expect(high.length).toBeGreaterThan(low.length)
+  })
+})
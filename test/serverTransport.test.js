@@ -0,0 +1,79 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createServerTransport, toServerEvent } from '../src/utils/serverTransport'
+import { FrontendTracker } from '../src/FrontendTracker'
+
+function stubFetch(status = 200) {
+  return vi.fn(() => Promise.resolve({ ok: status >= 200 && status < 300, status }))
+}
+
+describe('toServerEvent', () => {
+  it('maps pipeline events to the collector format', () => {
+    const ev = toServerEvent(
+      { type: 'struct', category: 'ui', action: 'click', property: '{"a":1}', globals: { userId: 'u1' } },
+      [{ schema: 'iglu:com.acme/ctx/jsonschema/1-0-0', data: { x: 1 } }]
+    )
+    expect(ev).toMatchObject({
+      eventType: 'structured_event',
+      category: 'ui',
+      action: 'click',
+      label: null,
+      property: { a: 1 },
+      p: 'srv',
+      uid: 'u1',
+      contexts: [{ schema: 'iglu:com.acme/ctx/jsonschema/1-0-0', data: { x: 1 } }]
+    })
+    expect(toServerEvent({ type: 'error', schema: 's', data: { m: 1 } }, [], { platform: 'mob' })).toMatchObject({
+      eventType: 'unstruct',
+      schema: 's',
+      payload: { m: 1 },
+      p: 'mob',
+      contexts: null
+    })
+  })
+})
+
+describe('createServerTransport', () => {
+  it('posts one event through the given fetch', async () => {
+    const fetch = stubFetch()
+    const transport = createServerTransport({ url: 'https://log.example.com/v1', headers: { 'x-app': 'a' }, fetch })
+    expect(transport.send({ type: 'page_view', pageUrl: '/home', referrer: '/' })).toBe(true)
+    await transport.flush()
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe('https://log.example.com/v1')
+    expect(init).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json', 'x-app': 'a' } })
+    expect(JSON.parse(init.body)).toMatchObject([{ eventType: 'page_view', url: '/home', referrer: '/' }])
+  })
+
+  it('applies formatInput and logs failures without throwing', async () => {
+    const logger = { warn: vi.fn(), error: vi.fn() }
+    const fetch = vi.fn(() => Promise.reject(new Error('offline')))
+    const transport = createServerTransport({ url: 'https://log.example.com', fetch, logger, formatInput: events => ({ events }) })
+    transport.send({ type: 'struct', category: 'c', action: 'a' })
+    await transport.flush()
+    expect(JSON.parse(fetch.mock.calls[0][1].body).events).toHaveLength(1)
+    expect(logger.warn).toHaveBeenCalledWith('server transport failed', expect.any(Error))
+  })
+
+  it('drops events when there is no fetch', () => {
+    const logger = { warn: vi.fn() }
+    const transport = createServerTransport({ url: 'https://log.example.com', fetch: null, logger })
+    expect(transport.send({ type: 'struct' })).toBe(false)
+    expect(logger.warn).toHaveBeenCalledWith('server transport unavailable: missing url or fetch')
+  })
+})
+
+describe('FrontendTracker server mode', () => {
+  it('sends through the fetch option', async () => {
+    const fetch = stubFetch()
+    const tracker = new FrontendTracker({ url: 'https://log.example.com', appId: 'ssr', trackerId: 'ssr_fetch', requestId: 'req-1', fetch }).init()
+    expect(tracker.isServer).toBe(true)
+    tracker.trackEvent('ssr', 'render', '/home')
+    await tracker.flush()
+
+    expect(fetch).toHaveBeenCalledTimes(1)
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toMatchObject([{ eventType: 'structured_event', category: 'ssr', action: 'render', p: 'srv' }])
+    tracker.stop()
+  })
+})
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest'
+import { decodeVlq, parseSourceMap, originalPositionFor } from '../src/symbolicate/sourceMap'
+
+// 第 1 行：[0,0,0,0]、[4,0,0,4,foo]；第 2 行：[0,0,1,4]（原始行列跨行累加）；第 3 行：仅生成列的段
+const MAP = {
+  version: 3,
+  file: 'app.js',
+  sourceRoot: 'webpack://',
+  sources: ['src/app.js', '/abs/lib.js'],
+  sourcesContent: ['const foo = 1\n    foo()'],
+  names: ['foo'],
+  mappings: 'AAAA,IAAIA;AACA;K'
+}
+
+describe('decodeVlq', () => {
+  it('decodes single and multi-digit values', () => {
+    expect(decodeVlq('AAAA')).toEqual([0, 0, 0, 0])
+    expect(decodeVlq('SAAQ')).toEqual([9, 0, 0, 8])
+    expect(decodeVlq('D')).toEqual([-1])
+    expect(decodeVlq('gB')).toEqual([16])
+    expect(decodeVlq('2H')).toEqual([123])
+  })
+
+  it('throws on invalid characters', () => {
+    expect(() => decodeVlq('A!')).toThrow('[FrontendTracker]: invalid base64 char')
+  })
+})
+
+describe('parseSourceMap', () => {
+  it('decodes mappings into absolute segments', () => {
+    const map = parseSourceMap(JSON.stringify(MAP))
+    expect(map.sources).toEqual(['webpack://src/app.js', '/abs/lib.js'])
+    expect(map.lines).toEqual([
+      [[0, 0, 0, 0, -1], [4, 0, 0, 4, 0]],
+      [[0, 0, 1, 4, -1]],
+      [[5, -1, -1, -1, -1]]
+    ])
+  })
+
+  it('strips the XSSI prefix and rejects other versions', () => {
+    expect(parseSourceMap(")]}'\n" + JSON.stringify(MAP)).file).toBe('app.js')
+    expect(() => parseSourceMap({ ...MAP, version: 2 })).toThrow('unsupported source map version')
+  })
+})
+
+describe('originalPositionFor', () => {
+  const map = parseSourceMap(MAP)
+
+  it('finds the closest preceding segment', () => {
+    expect(originalPositionFor(map, 1, 0)).toMatchObject({ source: 'webpack://src/app.js', line: 1, column: 0, name: null })
+    expect(originalPositionFor(map, 1, 9)).toEqual({
+      source: 'webpack://src/app.js',
+      line: 1,
+      column: 4,
+      name: 'foo',
+      sourceContent: 'const foo = 1\n    foo()'
+    })
+    expect(originalPositionFor(map, 2, 3)).toMatchObject({ line: 2, column: 4 })
+  })
+
+  it('returns null for unmapped positions', () => {
+    expect(originalPositionFor(map, 3, 10)).toBeNull()
+    expect(originalPositionFor(map, 3, 0)).toBeNull()
+    expect(originalPositionFor(map, 9, 0)).toBeNull()
+    expect(originalPositionFor(null, 1, 0)).toBeNull()
+  })
+
+  it('resolves index maps by section offset', () => {
+    const indexMap = parseSourceMap({
+      version: 3,
+      sections: [
+        { offset: { line: 0, column: 0 }, map: { ...MAP, sources: ['a.js'], sourceRoot: '' } },
+        { offset: { line: 0, column: 100 }, map: { ...MAP, sources: ['b.js'], sourceRoot: '' } },
+        { offset: { line: 10, column: 0 }, map: { ...MAP, sources: ['c.js'], sourceRoot: '' } }
+      ]
+    })
+    expect(originalPositionFor(indexMap, 1, 4)).toMatchObject({ source: 'a.js', name: 'foo' })
+    expect(originalPositionFor(indexMap, 1, 104)).toMatchObject({ source: 'b.js', name: 'foo' })
+    expect(originalPositionFor(indexMap, 12, 0)).toMatchObject({ source: 'c.js', line: 2, column: 4 })
+  })
+})
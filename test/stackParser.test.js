@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest'
+import { parseStack } from '../src/utils/stackParser'
+
+function pick(frames) {
+  return frames.map(f => [f.function, f.file, f.line, f.column])
+}
+
+describe('parseStack', () => {
+  it('parses Chrome stacks', () => {
+    const stack = [
+      'TypeError: Cannot read properties of undefined (reading \'id\')',
+      '    at handleClick (https://example.com/assets/app.js:10:15)',
+      '    at async Object.submit (https://example.com/assets/app.js:20:3)',
+      '    at new Store (webpack:///./src/store.js:5:7)',
+      '    at https://example.com/assets/vendor.js:1:200',
+      '    at Array.forEach (<anonymous>)',
+      '    at JSON.parse (native)',
+      '    at <anonymous>'
+    ].join('\n')
+    expect(pick(parseStack(stack))).toEqual([
+      ['handleClick', 'https://example.com/assets/app.js', 10, 15],
+      ['Object.submit', 'https://example.com/assets/app.js', 20, 3],
+      ['Store', 'webpack:///./src/store.js', 5, 7],
+      [null, 'https://example.com/assets/vendor.js', 1, 200],
+      ['Array.forEach', null, null, null],
+      ['JSON.parse', null, null, null],
+      ['<anonymous>', null, null, null]
+    ])
+  })
+
+  it('uses the outer position of Chrome eval frames', () => {
+    const stack = '    at eval (eval at run (https://example.com/app.js:3:9), <anonymous>:1:1)'
+    expect(pick(parseStack(stack))).toEqual([['eval', 'https://example.com/app.js', 3, 9]])
+  })
+
+  it('parses Firefox stacks', () => {
+    const stack = [
+      'handleClick@https://example.com/assets/app.js:10:15',
+      'Store/<@https://example.com/assets/app.js:20:3',
+      '@https://example.com/assets/vendor.js:1:200',
+      'run@https://example.com/app.js line 3 > eval:1:1'
+    ].join('\n')
+    expect(pick(parseStack(stack))).toEqual([
+      ['handleClick', 'https://example.com/assets/app.js', 10, 15],
+      ['Store/<', 'https://example.com/assets/app.js', 20, 3],
+      [null, 'https://example.com/assets/vendor.js', 1, 200],
+      ['run', 'https://example.com/app.js', 3, null]
+    ])
+  })
+
+  it('parses Safari stacks', () => {
+    const stack = [
+      'handleClick@https://example.com/assets/app.js:10:15',
+      'global code@https://example.com/index.html:5:3',
+      '[native code]'
+    ].join('\n')
+    expect(pick(parseStack(stack))).toEqual([
+      ['handleClick', 'https://example.com/assets/app.js', 10, 15],
+      ['global code', 'https://example.com/index.html', 5, 3]
+    ])
+  })
+
+  it('flags sdk and extension frames', () => {
+    const stack = [
+      '    at send (https://cdn.example.com/frontend-tracking-tool/index.js:1:1)',
+      '    at inject (chrome-extension://abcdef/content.js:2:2)',
+      '    at main (https://example.com/app.js:3:3)'
+    ].join('\n')
+    expect(parseStack(stack).map(f => [f.sdk, f.extension])).toEqual([
+      [true, false],
+      [false, true],
+      [false, false]
+    ])
+    expect(parseStack(stack, { sdkPatterns: ['app.js'] }).map(f => f.sdk)).toEqual([false, false, true])
+  })
+
+  it('limits frames and ignores invalid input', () => {
+    const stack = Array.from({ length: 10 }, (_, i) => `    at f${i} (https://example.com/app.js:${i + 1}:1)`).join('\n')
+    expect(parseStack(stack, { maxFrames: 3 })).toHaveLength(3)
+    expect(parseStack(null)).toEqual([])
+    expect(parseStack('Error: boom')).toEqual([])
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { loadSourceMaps, createSymbolicator } from '../src/symbolicate'
+
+const SOURCE = 'function outer() {\n  inner()\n}\nfunction inner() {\n  throw new Error(\'x\')\n}'
+
+// 生成文件第 1 行：列 10 → throw（src 第 5 行），列 30 → inner()（src 第 2 行，name: inner）
+function writeMap(dir, relative, file) {
+  const full = path.join(dir, relative)
+  fs.mkdirSync(path.dirname(full), { recursive: true })
+  fs.writeFileSync(full, JSON.stringify({
+    version: 3,
+    file,
+    sources: ['src/app.js'],
+    sourcesContent: [SOURCE],
+    names: ['inner'],
+    mappings: 'UAIE,oBAHAA'
+  }))
+}
+
+describe('symbolicate', () => {
+  let dir
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ft-maps-'))
+    writeMap(dir, 'assets/app.js.map', 'app.js')
+    writeMap(dir, 'legacy/app.js.map', 'app.js')
+  })
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('keys maps by relative path and drops colliding basenames', () => {
+    const warnings = []
+    const index = loadSourceMaps(dir, { onWarning: m => warnings.push(m) })
+    expect([...index.keys()].sort()).toEqual(['assets/app.js', 'legacy/app.js'])
+    expect(warnings).toHaveLength(1)
+    expect(warnings[0]).toContain('multiple source maps for app.js')
+  })
+
+  it('restores frames and original function names', () => {
+    const sym = createSymbolicator({ mapsDir: dir, onWarning: () => {} })
+    const result = sym.symbolicateEvent({
+      type: 'js_error',
+      stack: [
+        'Error: x',
+        '    at a (https://example.com/static/assets/app.js?v=1:1:11)',
+        '    at b (https://example.com/static/assets/app.js?v=1:1:31)'
+      ].join('\n')
+    })
+    expect(result.frames.map(f => f.original && [f.original.file, f.original.line, f.original.column, f.original.function])).toEqual([
+      ['src/app.js', 5, 3, 'inner'],
+      ['src/app.js', 2, 3, 'b']
+    ])
+    expect(result.frames[0].original.snippet.context).toBe('  throw new Error(\'x\')')
+  })
+
+  it('leaves frames without a matching map untouched', () => {
+    const sym = createSymbolicator({ mapsDir: dir, onWarning: () => {} })
+    expect(sym.symbolicateFrame({ function: 'f', file: 'https://example.com/app.js', line: 1, column: 11 })).toEqual({
+      function: 'f',
+      file: 'https://example.com/app.js',
+      line: 1,
+      column: 11,
+      symbolicated: false
+    })
+  })
+
+  it('throws when the maps directory cannot be read', () => {
+    expect(() => createSymbolicator({ mapsDir: path.join(dir, 'missing') })).toThrow('cannot read source map directory')
+  })
+})
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { useConsent } from '../src/hooks/useConsent'
+
+const pv = n => ({ type: 'page_view', pageUrl: `/p/${n}` })
+const err = n => ({ type: 'error', data: { message: `e${n}` } })
+
+describe('useConsent', () => {
+  it('grants every category when consent is not required', () => {
+    const consent = useConsent()
+    expect(consent.getConsent()).toEqual({ analytics: 'granted', errors: 'granted' })
+    expect(consent.gate(pv(1))).toBe(true)
+    expect(consent.gate(err(1))).toBe(true)
+  })
+
+  it('buffers pending events and replays them in order once granted', () => {
+    const flushed = []
+    const consent = useConsent({ required: true, onFlush: ev => flushed.push(ev) })
+    expect(consent.gate(pv(1))).toBe(false)
+    expect(consent.gate(err(1))).toBe(false)
+    expect(consent.gate(pv(2))).toBe(false)
+
+    expect(consent.setConsent({ analytics: true })).toEqual({ analytics: 'granted' })
+    expect(flushed).toEqual([pv(1), pv(2)])
+    expect(consent.getConsent()).toEqual({ analytics: 'granted', errors: 'pending' })
+    expect(consent.gate(pv(3))).toBe(true)
+
+    consent.setConsent({ errors: true })
+    expect(flushed).toEqual([pv(1), pv(2), err(1)])
+  })
+
+  it('drops buffered and later events when denied', () => {
+    const flushed = []
+    const consent = useConsent({ required: true, onFlush: ev => flushed.push(ev) })
+    consent.gate(pv(1))
+    expect(consent.setConsent({ analytics: false })).toEqual({ analytics: 'denied' })
+    expect(consent.gate(pv(2))).toBe(false)
+
+    consent.setConsent({ analytics: true })
+    expect(flushed).toEqual([])
+  })
+
+  it('keeps only the newest bufferSize events per category', () => {
+    const flushed = []
+    const consent = useConsent({ required: true, bufferSize: 2, onFlush: ev => flushed.push(ev) })
+    ;[1, 2, 3].forEach(n => consent.gate(pv(n)))
+    consent.gate(err(1))
+
+    consent.setConsent({ analytics: true, errors: true })
+    expect(flushed).toEqual([pv(2), pv(3), err(1)])
+  })
+
+  it('withdrawing consent stops sending, and re-granting does not replay anything', () => {
+    const flushed = []
+    const consent = useConsent({ onFlush: ev => flushed.push(ev) })
+    consent.setConsent({ analytics: false })
+    expect(consent.gate(pv(1))).toBe(false)
+
+    consent.setConsent({ analytics: true })
+    expect(flushed).toEqual([])
+    expect(consent.gate(pv(2))).toBe(true)
+  })
+
+  it('clear() drops the buffers but keeps the consent state', () => {
+    const flushed = []
+    const consent = useConsent({ required: true, onFlush: ev => flushed.push(ev) })
+    consent.gate(pv(1))
+    consent.gate(err(1))
+    consent.clear()
+
+    expect(consent.getConsent()).toEqual({ analytics: 'pending', errors: 'pending' })
+    consent.setConsent({ analytics: true, errors: true })
+    expect(flushed).toEqual([])
+  })
+})
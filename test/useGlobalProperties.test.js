@@ -0,0 +1,62 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { useGlobalProperties } from '../src/hooks/useGlobalProperties'
+
+// 模拟 sessionStorage，验证持久化与恢复
+function memoryStorage() {
+  const data = new Map()
+  return {
+    getItem: k => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: k => data.delete(k)
+  }
+}
+
+describe('useGlobalProperties', () => {
+  afterEach(() => {
+    delete globalThis.sessionStorage
+  })
+
+  it('merges traits for the same user', () => {
+    const globals = useGlobalProperties()
+    globals.identify('u1', { plan: 'pro' })
+    globals.identify('u1', { vip: true })
+    expect(globals.snapshot()).toEqual({ userId: 'u1', traits: { plan: 'pro', vip: true } })
+  })
+
+  it('drops the previous user\'s traits when the user changes', () => {
+    const globals = useGlobalProperties()
+    globals.identify('u1', { plan: 'pro' })
+    globals.identify('u2')
+    expect(globals.snapshot()).toEqual({ userId: 'u2' })
+    globals.identify(2, { plan: 'free' })
+    expect(globals.snapshot()).toEqual({ userId: '2', traits: { plan: 'free' } })
+  })
+
+  it('scopes page properties until clearPage and lets them override session ones', () => {
+    const globals = useGlobalProperties()
+    globals.setProperties({ tenant: 'acme', campaign: 'none' })
+    globals.setProperties({ campaign: 'spring' }, 'page')
+    expect(globals.snapshot()).toEqual({ userId: null, properties: { tenant: 'acme', campaign: 'spring' } })
+    globals.clearPage()
+    expect(globals.snapshot().properties).toEqual({ tenant: 'acme', campaign: 'none' })
+    globals.reset()
+    expect(globals.snapshot()).toBeNull()
+  })
+
+  it('restores session state from sessionStorage per storage key', () => {
+    globalThis.sessionStorage = memoryStorage()
+    const a = useGlobalProperties({ storageKey: 'FT_GLOBALS_a' })
+    a.identify('u1', { plan: 'pro' })
+    a.setProperties({ tenant: 'acme' })
+    a.setProperties({ campaign: 'spring' }, 'page')
+
+    expect(useGlobalProperties({ storageKey: 'FT_GLOBALS_a' }).snapshot()).toEqual({
+      userId: 'u1',
+      traits: { plan: 'pro' },
+      properties: { tenant: 'acme' }
+    })
+    expect(useGlobalProperties({ storageKey: 'FT_GLOBALS_b' }).snapshot()).toBeNull()
+    a.reset()
+    expect(useGlobalProperties({ storageKey: 'FT_GLOBALS_a' }).snapshot()).toBeNull()
+  })
+})
@@ -0,0 +1,26 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from 'vitest'
+import { useNetworkMonitor } from '../src/hooks/useNetworkMonitor'
+
+describe('useNetworkMonitor', () => {
+  const originalFetch = window.fetch
+
+  afterEach(() => {
+    window.fetch = originalFetch
+  })
+
+  it('excludes only the exact endpoints in excludeUrls and the collector path', async () => {
+    window.fetch = () => Promise.resolve({ status: 200 })
+    const records = []
+    const monitor = useNetworkMonitor({ excludeUrls: ['https://app.example.com'], onRequest: record => records.push(record.url) })
+    monitor.setup()
+
+    await window.fetch('https://app.example.com/api/orders/42')
+    await window.fetch('https://app.example.com/?from=home')
+    await window.fetch('https://app.example.com/com.snowplowanalytics.snowplow/tp2')
+    await window.fetch('https://app.example.com/api/user')
+    monitor.teardown()
+
+    expect(records).toEqual(['https://app.example.com/api/orders/:id', 'https://app.example.com/api/user'])
+  })
+})
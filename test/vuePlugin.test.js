@@ -0,0 +1,109 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi } from 'vitest'
+import { FrontendTrackerPlugin, TRACKER_INJECTION_KEY } from '../src/vue/plugin'
+import { FrontendTracker } from '../src/FrontendTracker'
+
+let seq = 0
+
+// 插件只用到 app 上的 provide / directive / config，用普通对象代替 Vue 应用
+function createApp() {
+  const provides = new Map()
+  return {
+    provides,
+    config: { globalProperties: {} },
+    provide(key, value) {
+      provides.set(key, value)
+    },
+    directive() {}
+  }
+}
+
+function createTracker(options = {}) {
+  const trackerId = `ft_vue_${++seq}`
+  return new FrontendTracker({ url: 'https://collector.example.com', appId: trackerId, trackerId, enableErrHandler: false, enablePageView: false, ...options })
+}
+
+describe('FrontendTrackerPlugin', () => {
+  it('provides the tracker under a Symbol key', () => {
+    const app = createApp()
+    const tracker = createTracker()
+    FrontendTrackerPlugin.install(app, { tracker })
+
+    expect(typeof TRACKER_INJECTION_KEY).toBe('symbol')
+    expect(app.provides.get(TRACKER_INJECTION_KEY)).toBe(tracker)
+    expect(app.provides.has('tracker')).toBe(false)
+    expect(app.config.globalProperties.$tracker).toBe(tracker)
+    tracker.stop()
+  })
+})
+
+// 只实现 startPageTracking 用到的部分
+function createRouter() {
+  const hooks = []
+  return {
+    hooks,
+    currentRoute: { value: { fullPath: '/', matched: [], meta: {} } },
+    afterEach(hook) {
+      hooks.push(hook)
+      return () => hooks.splice(hooks.indexOf(hook), 1)
+    }
+  }
+}
+
+describe('FrontendTracker.attachRouter', () => {
+  it('lets the plugin init a fresh tracker with the router without hooking it twice', () => {
+    const tracker = createTracker({ enablePageView: true })
+    const router = createRouter()
+    FrontendTrackerPlugin.install(createApp(), { tracker, router })
+
+    expect(router.hooks).toHaveLength(1)
+    tracker.stop()
+    expect(router.hooks).toHaveLength(0)
+  })
+
+  it('attaches the router to an initialized tracker whose page tracking is stopped', () => {
+    const tracker = createTracker({ enablePageView: true })
+    tracker.init()
+    tracker.stopPageTracking()
+    const router = createRouter()
+
+    FrontendTrackerPlugin.install(createApp(), { tracker, router })
+    tracker.attachRouter(router)
+    expect(router.hooks).toHaveLength(1)
+    tracker.stop()
+  })
+
+  it('reports an error instead of double tracking when the generic router listener is in use', () => {
+    const logs = []
+    const tracker = createTracker({ enablePageView: true, logSink: entry => logs.push(entry) })
+    tracker.init()
+    const router = createRouter()
+
+    tracker.attachRouter(router)
+    expect(router.hooks).toHaveLength(0)
+    expect(logs.filter(l => l.level === 'error')).toHaveLength(1)
+    tracker.stop()
+  })
+
+  it('waits for the remote config before attaching', async () => {
+    let respond = null
+    vi.stubGlobal('fetch', () => new Promise(resolve => {
+      respond = () => resolve({ ok: true, status: 200, json: () => Promise.resolve({}) })
+    }))
+    const logs = []
+    const tracker = createTracker({ enablePageView: true, logSink: entry => logs.push(entry), remoteConfig: { url: 'https://cdn.example.com/cfg.json' } })
+    tracker.init()
+    const router = createRouter()
+    tracker.attachRouter(router)
+    expect(logs).toEqual([])
+
+    respond()
+    await tracker.ready
+    await Promise.resolve()
+    // 启动时未传 router，已改用通用路由监听，补挂被拒绝
+    expect(router.hooks).toHaveLength(0)
+    expect(logs.filter(l => l.level === 'error')).toHaveLength(1)
+    tracker.stop()
+    vi.unstubAllGlobals()
+  })
+})